@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { parseArgs } from 'util';
+import {
+    DROP_TABLE_URL,
+    EXIT_CODES as GENERATOR_EXIT_CODES,
+    extract,
+    generate,
+    generateChangelogMarkdown,
+    formatReport,
+    ValidationError,
+    diffData,
+    hasChanges,
+    LOCALES,
+    FEED_FILE
+} from '../currentPrimes/index.js';
+
+const require = createRequire(import.meta.url);
+const {
+    MarkdownParseError,
+    WarframeDataParser,
+    WarframeJSONParser,
+    WarframeMarkdownSerializer,
+    HTMLGenerator,
+    StaticSiteGenerator,
+    WarframeConverter
+} = require('../htmlConverter/htmlConverter.js');
+
+/**
+ * Process exit codes, 64 is the conventional EX_USAGE
+ */
+const EXIT_CODES = {
+    ...GENERATOR_EXIT_CODES,
+    USAGE: 64
+};
+
+/**
+ * Names of the files written to the output directory, by format
+ */
+const OUTPUT_FILES = {
+    md: 'currentPrimes.md',
+    json: 'currentPrimes.json',
+    html: 'index.html',
+    atom: FEED_FILE
+};
+
+/**
+ * Flags every command accepts
+ */
+const COMMON_OPTIONS = {
+    input: { type: 'string', short: 'i' },
+    'out-dir': { type: 'string', short: 'o', default: '.' },
+    format: { type: 'string', short: 'f' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Flags of the commands that read the drop table
+ */
+const DROP_TABLE_OPTIONS = {
+    'cache-dir': { type: 'string', default: '.cache' },
+    'no-cache': { type: 'boolean', default: false },
+    report: { type: 'string' },
+    strict: { type: 'boolean', default: false }
+};
+
+/**
+ * Flags of the commands that write markdown or the page
+ */
+const LOCALE_OPTIONS = {
+    locale: { type: 'string' }
+};
+
+/**
+ * Flags of the commands that write the data files
+ */
+const GENERATE_OPTIONS = {
+    ...DROP_TABLE_OPTIONS,
+    ...LOCALE_OPTIONS,
+    previous: { type: 'string' },
+    'archive-dir': { type: 'string', default: 'history' },
+    'no-archive': { type: 'boolean', default: false }
+};
+
+/**
+ * Flags of the commands that can write the static site
+ */
+const SITE_OPTIONS = {
+    'base-url': { type: 'string' }
+};
+
+/**
+ * Raised for bad command lines, reported with the usage of the command
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Turns the --input flag into a drop table source for loadHTML
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} - Drop table source, downloaded unless --input names a local file or directory
+ */
+function dropTableSource(options) {
+    const input = options.input;
+    const isURL = input && /^https?:\/\//.test(input);
+
+    return {
+        url: isURL ? input : DROP_TABLE_URL,
+        input: isURL ? undefined : input,
+        cacheDir: options['no-cache'] ? null : options['cache-dir']
+    };
+}
+
+/**
+ * Reads a markdown or JSON data file, picked by its extension
+ * @param {string} file - Path of the data file
+ * @param {boolean} strict - Reject markdown that doesn't follow the grammar exactly
+ * @returns {Object} - Primes, relics, changelog and history, plus when the data was generated
+ */
+function readDataFile(file, strict = false) {
+    const content = fs.readFileSync(file, 'utf8');
+
+    if (path.extname(file).toLowerCase() === '.json') {
+        return {
+            ...new WarframeJSONParser().parse(content),
+            generatedAt: JSON.parse(content).generatedAt || null
+        };
+    }
+
+    return new WarframeDataParser({ strict }).parse(content);
+}
+
+/**
+ * Writes the page for a data document
+ * @param {Object} data - Parsed data, as returned by readDataFile or WarframeJSONParser
+ * @param {string} outDir - Output directory
+ * @param {string} locale - Language the page opens in
+ * @param {string|null} feed - Path of the feed next to the page, linked from it
+ * @returns {string} - Path of the written page
+ */
+function writeHTML(data, outDir, locale, feed) {
+    const file = path.join(outDir, OUTPUT_FILES.html);
+    // generateFiles regroups the primes in place, so it gets its own copy
+    HTMLGenerator.writePage(structuredClone(data), file, { locale, feed });
+    console.log(`HTML page has been generated as ${file}, with its assets in ${path.join(outDir, 'assets')}`);
+    return file;
+}
+
+/**
+ * Writes the page, or with the site format the page and a pre-rendered page per prime set and relic
+ * @param {Object} data - Parsed data, as returned by readDataFile or WarframeJSONParser
+ * @param {Object} options - Parsed command line options
+ * @param {string[]} formats - Requested formats
+ */
+function writePages(data, options, formats) {
+    // Without --locale, a page converted from markdown is in the language of the markdown
+    const locale = WarframeConverter.pageLocale(data, options.locale);
+    const feed = formats.includes('atom') ? OUTPUT_FILES.atom : null;
+
+    if (formats.includes('site')) {
+        const files = StaticSiteGenerator.writeSite(data, options['out-dir'], { baseUrl: options['base-url'] || null, locale, feed });
+        console.log(`Site with ${files.length} files has been generated in ${options['out-dir']}`);
+        if (!options['base-url']) {
+            console.warn('No --base-url given, sitemap.xml and canonical links were left out');
+        }
+    } else if (formats.includes('html')) {
+        writeHTML(data, options['out-dir'], locale, feed);
+    }
+}
+
+/**
+ * Generation options shared by fetch and build
+ * @param {Object} options - Parsed command line options
+ * @param {string[]} formats - Data files to write
+ * @returns {Object} - Options for generate
+ */
+function generateOptions(options, formats) {
+    const outDir = options['out-dir'];
+
+    return {
+        source: dropTableSource(options),
+        outDir,
+        formats,
+        previous: options.previous || path.join(outDir, OUTPUT_FILES.json),
+        archiveDir: options['no-archive'] ? null : options['archive-dir'],
+        report: options.report || path.join(outDir, 'validation-report.json'),
+        strict: options.strict,
+        locale: options.locale,
+        baseUrl: options['base-url'] || null
+    };
+}
+
+async function runFetch(options, formats) {
+    await generate(generateOptions(options, formats));
+}
+
+async function runBuild(options, formats) {
+    if (formats.includes('atom') && options['no-archive']) {
+        throw new UsageError('the atom feed is built from the archived snapshots, it can\'t be written with --no-archive');
+    }
+
+    const { data } = await generate(generateOptions(options, formats.filter(format => format !== 'html' && format !== 'site')));
+
+    writePages(new WarframeJSONParser().parse(JSON.stringify(data)), options, formats);
+}
+
+async function runConvert(options, formats) {
+    const input = options.input || OUTPUT_FILES.json;
+    const outDir = options['out-dir'];
+    console.log(`Converting ${input}...`);
+
+    const data = readDataFile(input, options.strict);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    if (formats.includes('md')) {
+        const file = path.join(outDir, OUTPUT_FILES.md);
+        fs.writeFileSync(file, new WarframeMarkdownSerializer({ locale: options.locale || data.locale }).serialize(data));
+        console.log(`Markdown file has been generated as ${file}`);
+    }
+
+    writePages(data, options, formats);
+}
+
+async function runDiff(options, formats) {
+    if (!options.previous) {
+        throw new UsageError('diff needs the data file to compare against, pass it with --previous');
+    }
+
+    const current = options.input || path.join(options['out-dir'], OUTPUT_FILES.json);
+    console.debug(`Comparing ${current} with ${options.previous}`);
+
+    const changelog = diffData(readDataFile(options.previous), readDataFile(current));
+
+    process.stdout.write(formats.includes('json')
+        ? JSON.stringify(changelog, null, 2) + '\n'
+        : generateChangelogMarkdown(changelog, options.locale));
+    console.debug(hasChanges(changelog) ? 'Changes found' : 'No changes found');
+}
+
+async function runValidate(options) {
+    if (options.input && path.extname(options.input).toLowerCase() === '.md') {
+        readDataFile(options.input, true);
+        console.log(`${options.input} is valid`);
+        return;
+    }
+
+    if (options.input && path.extname(options.input).toLowerCase() === '.json') {
+        throw new UsageError('validate reads a drop table or a markdown file, not JSON data');
+    }
+
+    const { report } = await extract(dropTableSource(options));
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify(report, null, 2) + '\n');
+    }
+    console.log(formatReport(report));
+
+    if ((options.strict ? report.issues : report.errors).length > 0) {
+        throw new ValidationError(report);
+    }
+}
+
+/**
+ * Subcommands with their flags, accepted and default output formats and help text
+ */
+const COMMANDS = {
+    fetch: {
+        summary: 'Download the drop table and write the markdown and JSON data files',
+        options: GENERATE_OPTIONS,
+        formats: ['md', 'json'],
+        run: runFetch
+    },
+    build: {
+        summary: 'Fetch the data and generate the page in one go',
+        options: { ...GENERATE_OPTIONS, ...SITE_OPTIONS },
+        formats: ['md', 'json', 'html', 'site', 'atom'],
+        defaultFormats: ['md', 'json', 'html'],
+        run: runBuild
+    },
+    convert: {
+        summary: 'Turn a markdown or JSON data file into the page, or into normalized markdown',
+        options: { strict: { type: 'boolean', default: false }, ...LOCALE_OPTIONS, ...SITE_OPTIONS },
+        formats: ['html', 'md', 'site'],
+        defaultFormats: ['html'],
+        run: runConvert
+    },
+    diff: {
+        summary: 'Print what changed between two data files',
+        options: { previous: { type: 'string' }, ...LOCALE_OPTIONS },
+        formats: ['md', 'json'],
+        defaultFormats: ['md'],
+        run: runDiff
+    },
+    validate: {
+        summary: 'Check a drop table, or a hand-edited markdown file, without writing data files',
+        options: DROP_TABLE_OPTIONS,
+        formats: [],
+        run: runValidate
+    }
+};
+
+const GLOBAL_HELP = `Usage: nexus <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(10)}${summary}`).join('\n')}
+
+Run "nexus <command> --help" for the options of a command.
+
+Exit codes:
+  0   success
+  1   error
+  2   validation failed
+  64  invalid command line
+`;
+
+const OPTION_HELP = {
+    input: '-i, --input <path|url>   Drop table file, directory or URL; data file for convert and diff',
+    'out-dir': '-o, --out-dir <dir>      Directory output files are written to (default .)',
+    format: '-f, --format <list>      Comma-separated output formats',
+    previous: '    --previous <file>    Data file of the previous run to compare against',
+    'cache-dir': '    --cache-dir <dir>    Drop table cache directory (default .cache)',
+    'no-cache': '    --no-cache           Always download the drop table',
+    'archive-dir': '    --archive-dir <dir>  Directory of dated snapshots (default history)',
+    'no-archive': '    --no-archive         Don\'t archive a snapshot of this run',
+    report: '    --report <file>      Write the validation report as JSON (fetch and build: validation-report.json in the output directory)',
+    'base-url': '    --base-url <url>     Public URL of the site, for sitemap.xml, canonical links and the feed',
+    locale: `    --locale <locale>    Language of the markdown and page: ${Object.keys(LOCALES).join(', ')} (default en)`,
+    strict: '    --strict             Fail on validation warnings, or on any malformed markdown line',
+    verbose: '-v, --verbose            Print more detail about each step',
+    quiet: '-q, --quiet              Only print warnings and errors',
+    help: '-h, --help               Show this help'
+};
+
+/**
+ * Builds the help text of a subcommand
+ * @param {string} name - Subcommand name
+ * @returns {string} - Help text
+ */
+function commandHelp(name) {
+    const command = COMMANDS[name];
+    const options = Object.keys({ ...COMMON_OPTIONS, ...command.options })
+        .filter(option => option !== 'format' || command.formats.length > 0);
+    const formats = command.formats.length > 0
+        ? `\nFormats: ${command.formats.join(', ')} (default ${(command.defaultFormats || command.formats).join(',')})\n`
+        : '';
+
+    return `Usage: nexus ${name} [options]
+
+${command.summary}.
+
+Options:
+${options.map(option => `  ${OPTION_HELP[option]}`).join('\n')}
+${formats}`;
+}
+
+/**
+ * Parses the --format list of a subcommand
+ * @param {string} name - Subcommand name
+ * @param {string|undefined} value - Value of --format
+ * @returns {string[]} - Requested formats
+ */
+function parseFormats(name, value) {
+    const { formats: accepted, defaultFormats = accepted } = COMMANDS[name];
+    if (value === undefined) return defaultFormats;
+
+    const formats = value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !accepted.includes(format));
+    if (unknown.length > 0 || formats.length === 0) {
+        throw new UsageError(`${name} writes ${accepted.join(', ') || 'no files'}, not "${value}"`);
+    }
+
+    return formats;
+}
+
+/**
+ * Applies --quiet and --verbose to the console
+ * @param {Object} options - Parsed command line options
+ */
+function setVerbosity({ quiet, verbose }) {
+    if (quiet) {
+        console.log = () => {};
+        console.info = () => {};
+    }
+    if (quiet || !verbose) {
+        console.debug = () => {};
+    }
+}
+
+/**
+ * Main entry point
+ * @param {string[]} argv - Command line arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+    const [name, ...args] = argv;
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        process.stdout.write(GLOBAL_HELP);
+        return name ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    if (!COMMANDS[name]) {
+        console.error(`Unknown command "${name}"\n`);
+        process.stderr.write(GLOBAL_HELP);
+        return EXIT_CODES.USAGE;
+    }
+
+    try {
+        const { values: options } = parseArgs({
+            args,
+            options: { ...COMMON_OPTIONS, ...COMMANDS[name].options }
+        });
+
+        if (options.help) {
+            process.stdout.write(commandHelp(name));
+            return EXIT_CODES.SUCCESS;
+        }
+
+        const formats = parseFormats(name, options.format);
+        if (options.locale !== undefined && !LOCALES[options.locale]) {
+            throw new UsageError(`Unknown locale "${options.locale}", expected one of ${Object.keys(LOCALES).join(', ')}`);
+        }
+        setVerbosity(options);
+        console.debug(`Running ${name} with ${JSON.stringify({ ...options, format: formats })}`);
+
+        const started = Date.now();
+        await COMMANDS[name].run(options, formats);
+        console.debug(`Done in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${error.message}\n`);
+            process.stderr.write(commandHelp(name));
+            return EXIT_CODES.USAGE;
+        }
+
+        if (error instanceof ValidationError) {
+            console.error('Validation failed, no output files were written.');
+            return EXIT_CODES.VALIDATION_FAILED;
+        }
+
+        if (error instanceof MarkdownParseError) {
+            console.error(error.message);
+            return EXIT_CODES.VALIDATION_FAILED;
+        }
+
+        console.error(`nexus ${name} failed:`, error.code === 'ENOENT' ? `File not found: ${error.path}` : error);
+        return EXIT_CODES.ERROR;
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,104 @@
+/**
+ * Chance differences smaller than this are rounding noise, not a real change
+ */
+const CHANCE_TOLERANCE = 0.005;
+
+/**
+ * Lists the keys of `b` that are missing from `a`
+ * @param {Map|Set} a - Previous keys
+ * @param {Map|Set} b - Current keys
+ * @returns {string[]} - Keys only found in `b`, in their original order
+ */
+function missingFrom(a, b) {
+    return Array.from(b.keys()).filter(key => !a.has(key));
+}
+
+/**
+ * Indexes every prime part of a data document by part and relic
+ * @param {Object} data - JSON data document
+ * @returns {Map<string, {prime: string, part: string, relic: string}>} - Part entries keyed by "part|relic"
+ */
+function indexParts(data) {
+    const parts = new Map();
+
+    Object.values(data.primes || {}).forEach(({ name, parts: primeParts }) => {
+        primeParts.forEach(({ part, relic }) => {
+            parts.set(`${part}|${relic}`, { prime: name, part, relic });
+        });
+    });
+
+    return parts;
+}
+
+/**
+ * Lists the rewards whose drop chance changed in relics present in both documents
+ * @param {Object} previous - Previous JSON data document
+ * @param {Object} current - Current JSON data document
+ * @returns {Array<{relic: string, part: string, refinement: string, from: number, to: number}>} - Changed chances
+ */
+function diffChances(previous, current) {
+    const changes = [];
+
+    for (const relic in current.relics) {
+        if (!previous.relics[relic]) continue;
+
+        const previousRewards = new Map(previous.relics[relic].rewards.map(reward => [reward.part, reward]));
+        current.relics[relic].rewards.forEach(({ part, chances }) => {
+            const previousReward = previousRewards.get(part);
+            if (!previousReward) return;
+
+            for (const refinement in chances) {
+                const from = previousReward.chances[refinement];
+                const to = chances[refinement];
+                if (typeof from === 'number' && Math.abs(from - to) > CHANCE_TOLERANCE) {
+                    changes.push({ relic, part, refinement, from, to });
+                }
+            }
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Compares two extractions and lists what was added, removed or changed
+ * @param {Object} previous - JSON data document of the previous run
+ * @param {Object} current - JSON data document of this run
+ * @returns {Object} - Changelog of primes, parts, relics and reward chances
+ */
+export function diffData(previous, current) {
+    const previousPrimes = new Set(Object.keys(previous.primes || {}));
+    const currentPrimes = new Set(Object.keys(current.primes || {}));
+    const previousParts = indexParts(previous);
+    const currentParts = indexParts(current);
+    const previousRelics = new Set(Object.keys(previous.relics || {}));
+    const currentRelics = new Set(Object.keys(current.relics || {}));
+
+    return {
+        previousGeneratedAt: previous.generatedAt || null,
+        primes: {
+            added: missingFrom(previousPrimes, currentPrimes),
+            removed: missingFrom(currentPrimes, previousPrimes)
+        },
+        parts: {
+            added: missingFrom(previousParts, currentParts).map(key => currentParts.get(key)),
+            removed: missingFrom(currentParts, previousParts).map(key => previousParts.get(key))
+        },
+        relics: {
+            added: missingFrom(previousRelics, currentRelics),
+            removed: missingFrom(currentRelics, previousRelics)
+        },
+        chances: diffChances({ relics: {}, ...previous }, current)
+    };
+}
+
+/**
+ * Checks whether a changelog records any change at all
+ * @param {Object} changelog - Changelog returned by diffData
+ * @returns {boolean} - True if something was added, removed or changed
+ */
+export function hasChanges(changelog) {
+    return ['primes', 'parts', 'relics'].some(group =>
+        changelog[group].added.length > 0 || changelog[group].removed.length > 0
+    ) || changelog.chances.length > 0;
+}
@@ -0,0 +1,153 @@
+/**
+ * Item categories, each with the subtypes it is split into, in the order they are listed
+ */
+export const CATEGORIES = {
+    warframe: ['warframe'],
+    weapon: ['primary', 'secondary', 'melee'],
+    companion: ['sentinel', 'sentinel-weapon', 'companion'],
+    archwing: ['archwing'],
+    other: ['other']
+};
+
+/**
+ * Heading of every subtype in the generated markdown, in the order they are listed
+ */
+export const SUBTYPE_TITLES = {
+    warframe: 'Warframes',
+    primary: 'Primary Weapons',
+    secondary: 'Secondary Weapons',
+    melee: 'Melee Weapons',
+    sentinel: 'Sentinels',
+    'sentinel-weapon': 'Sentinel Weapons',
+    companion: 'Companions',
+    archwing: 'Archwing',
+    other: 'Other'
+};
+
+/**
+ * Component names a prime item can end with. Longer names have to be tried before
+ * the shorter names they end with, e.g. "Neuroptics Blueprint" before "Blueprint"
+ */
+const COMPONENTS = [
+    'Neuroptics Blueprint', 'Chassis Blueprint', 'Systems Blueprint',
+    'Harness Blueprint', 'Wings Blueprint',
+    'Neuroptics', 'Chassis', 'Systems', 'Harness', 'Wings',
+    'Carapace', 'Cerebrum',
+    'Barrel', 'Receiver', 'Stock', 'Link',
+    'Upper Limb', 'Lower Limb', 'String', 'Grip',
+    'Blades', 'Blade', 'Handle', 'Hilt', 'Guard', 'Head', 'Gauntlet', 'Ornament',
+    'Pouch', 'Stars', 'Disc', 'Boot', 'Chain',
+    'Band', 'Buckle',
+    'Blueprint'
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Sets whose parts the drop table names without the full set name, keyed by the name their parts split into,
+ * e.g. "Kavasa Prime Band" belongs to "Kavasa Prime Kubrow Collar" like "Kavasa Prime Kubrow Collar Blueprint"
+ */
+const SET_ALIASES = {
+    'Kavasa Prime': 'Kavasa Prime Kubrow Collar'
+};
+
+/**
+ * Subtype of the sets the component rules get wrong or can't decide, e.g. sentinel weapons
+ * sharing their components with regular guns, archwings sharing their Systems with warframes,
+ * a crossbow secondary built like a bow, or pistols whose Barrel and Receiver rifles have too.
+ * Every secondary with a Barrel or Receiver belongs here, dual pistols too in case their Link is vaulted
+ */
+const SUBTYPE_OVERRIDES = {
+    'Burst Laser Prime': 'sentinel-weapon',
+    'Deconstructor Prime': 'sentinel-weapon',
+    'Prime Laser Rifle': 'sentinel-weapon',
+    'Sweeper Prime': 'sentinel-weapon',
+    'Verglas Prime': 'sentinel-weapon',
+    'Odonata Prime': 'archwing',
+    'Kavasa Prime Kubrow Collar': 'companion',
+    'Afuris Prime': 'secondary',
+    'Akarius Prime': 'secondary',
+    'Akbolto Prime': 'secondary',
+    'Akbronco Prime': 'secondary',
+    'Akjagara Prime': 'secondary',
+    'Aklex Prime': 'secondary',
+    'Akmagnus Prime': 'secondary',
+    'Aksomati Prime': 'secondary',
+    'Akstiletto Prime': 'secondary',
+    'Akvasto Prime': 'secondary',
+    'Ballistica Prime': 'secondary',
+    'Bronco Prime': 'secondary',
+    'Epitaph Prime': 'secondary',
+    'Euphona Prime': 'secondary',
+    'Hystrix Prime': 'secondary',
+    'Knell Prime': 'secondary',
+    'Kompressa Prime': 'secondary',
+    'Lex Prime': 'secondary',
+    'Magnus Prime': 'secondary',
+    'Pandero Prime': 'secondary',
+    'Pyrana Prime': 'secondary',
+    'Sicarus Prime': 'secondary',
+    'Sonicor Prime': 'secondary',
+    'Vasto Prime': 'secondary',
+    'Velox Prime': 'secondary',
+    'Zakti Prime': 'secondary',
+    'Zylok Prime': 'secondary'
+};
+
+/**
+ * Components that settle the subtype of a set on their own, tried in order. Barrel and Receiver
+ * aren't listed: rifles and shotguns have them as well as pistols, and a rifle whose Stock is
+ * vaulted looks like a pistol, so only the override table can tell
+ */
+const SUBTYPE_COMPONENTS = [
+    ['archwing', ['Harness', 'Wings']],
+    ['sentinel', ['Carapace', 'Cerebrum']],
+    ['warframe', ['Neuroptics', 'Chassis', 'Systems']],
+    ['primary', ['Stock', 'Upper Limb', 'Lower Limb', 'String']],
+    ['secondary', ['Link', 'Pouch', 'Stars']],
+    ['melee', ['Blade', 'Blades', 'Handle', 'Hilt', 'Guard', 'Head', 'Gauntlet', 'Ornament', 'Disc', 'Boot', 'Chain']]
+];
+
+/**
+ * Splits a prime item into the set it belongs to and its component
+ * @param {string} item - Item name, e.g. "Kavasa Prime Band"
+ * @returns {{set: string, component: string}} - e.g. { set: "Kavasa Prime Kubrow Collar", component: "Band" }
+ */
+export function splitItemName(item) {
+    const component = COMPONENTS.find(name => item.endsWith(` ${name}`));
+    const set = component ? item.slice(0, -component.length - 1) : '';
+
+    if (set.includes('Prime')) {
+        return { set: SET_ALIASES[set] || set, component };
+    }
+
+    // Unknown component: fall back to everything up to and including "Prime"
+    const [name, ...rest] = item.split(' Prime');
+    return { set: `${name} Prime`, component: rest.join(' Prime').trim() };
+}
+
+/**
+ * Tells which subtype a prime set is from its name and the components of it that are in the drop table
+ * @param {string} set - Set name
+ * @param {string[]} components - Components of the set, as returned by splitItemName
+ * @returns {string} - One of the subtypes listed in CATEGORIES, "other" when the components seen can't tell
+ */
+function classifySubtype(set, components) {
+    if (SUBTYPE_OVERRIDES[set]) return SUBTYPE_OVERRIDES[set];
+
+    const has = names => names.some(name => components.includes(name) || components.includes(`${name} Blueprint`));
+    const match = SUBTYPE_COMPONENTS.find(([, names]) => has(names));
+
+    return match ? match[0] : 'other';
+}
+
+/**
+ * Assigns a prime set its category and subtype
+ * @param {string} set - Set name
+ * @param {string[]} components - Components of the set, as returned by splitItemName
+ * @returns {{category: string, subtype: string}} - Category and subtype as listed in CATEGORIES
+ */
+export function classifySet(set, components) {
+    const subtype = classifySubtype(set, components);
+    const category = Object.keys(CATEGORIES).find(name => CATEGORIES[name].includes(subtype));
+
+    return { category, subtype };
+}
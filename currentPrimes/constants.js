@@ -0,0 +1,33 @@
+/**
+ * Refinement levels, in the order the drop table lists them
+ */
+export const REFINEMENTS = ['Intact', 'Exceptional', 'Flawless', 'Radiant'];
+
+/**
+ * Relic tiers, from lowest to highest
+ */
+export const RELIC_TIERS = ['Lith', 'Meso', 'Neo', 'Axi'];
+
+/**
+ * Ids of the drop table sections listing bounty rewards, per rotation and stage
+ */
+export const BOUNTY_SECTION_IDS = ['cetusRewards', 'solarisRewards', 'deimosRewards', 'zarimanRewards', 'entratiLabRewards', 'hexRewards'];
+
+/**
+ * Ids of the drop table sections whose tables list mission rewards
+ */
+export const MISSION_SECTION_IDS = ['missionRewards', 'keyRewards', 'transientRewards', ...BOUNTY_SECTION_IDS];
+
+/**
+ * Reward rarities, from rarest to most common
+ */
+export const RARITY_ORDER = ['Rare', 'Uncommon', 'Common'];
+
+/**
+ * Reward rarity keyed by its Intact drop chance
+ */
+export const RARITY_BY_INTACT_CHANCE = {
+    '25.33': 'Common',
+    '11.00': 'Uncommon',
+    '2.00': 'Rare'
+};
@@ -0,0 +1,228 @@
+import { RELIC_TIERS, MISSION_SECTION_IDS, RARITY_BY_INTACT_CHANCE, REFINEMENTS } from './constants.js';
+import { splitItemName, classifySet } from './classification.js';
+
+/**
+ * Header cells indexed by their text, built once per document
+ */
+const tableHeaderIndex = new WeakMap();
+
+/**
+ * Finds the header cell of a table by its exact title
+ * @param {Document} document - The DOM document
+ * @param {string} title - The text of the header cell
+ * @returns {Element|undefined} - The first matching th element
+ */
+function findTableHeader(document, title) {
+    if (!tableHeaderIndex.has(document)) {
+        const index = new Map();
+        document.querySelectorAll('th').forEach(th => {
+            const text = th.textContent.trim();
+            if (!index.has(text)) {
+                index.set(text, th);
+            }
+        });
+        tableHeaderIndex.set(document, index);
+    }
+
+    return tableHeaderIndex.get(document).get(title);
+}
+
+/**
+ * Checks whether a reward is a void relic of a known tier, e.g. "Axi A16 Relic"
+ * @param {string} item - The reward name
+ * @returns {boolean} - True if the reward is a relic
+ */
+function isRelic(item) {
+    const [tier] = item.split(' ');
+    return RELIC_TIERS.includes(tier) && item.endsWith(' Relic');
+}
+
+/**
+ * Compares two relic names by tier, then by name
+ * @param {string} a - First relic name
+ * @param {string} b - Second relic name
+ * @returns {number} - Sort order
+ */
+export function compareRelics(a, b) {
+    const [typeA, typeB] = [a.split(' ')[0], b.split(' ')[0]];
+
+    if (typeA === typeB) {
+        return a.localeCompare(b);
+    }
+    return RELIC_TIERS.indexOf(typeA) - RELIC_TIERS.indexOf(typeB);
+}
+
+/**
+ * Walks every mission reward table and collects where each relic drops
+ * @param {Document} document - The DOM document
+ * @returns {Object<string, Array<{mission: string, rotation: string|null, chance: number|null}>>} - Sources keyed by relic name
+ */
+export function findRelicSources(document) {
+    const relicSources = {};
+
+    for (const sectionId of MISSION_SECTION_IDS) {
+        const heading = document.getElementById(sectionId);
+        const table = heading && heading.nextElementSibling;
+
+        // Missing sections are reported by the validation
+        if (!table || table.tagName !== 'TABLE') continue;
+
+        // Each mission starts with a header row, optionally split into rotations, and ends with a blank row.
+        // Bounty rotations are split further into stages, whose rows start with an empty cell
+        let mission = null;
+        let rotation = null;
+        let stage = null;
+        table.querySelectorAll('tr').forEach(row => {
+            if (row.classList.contains('blank-row')) {
+                mission = null;
+                rotation = null;
+                stage = null;
+                return;
+            }
+
+            const header = row.querySelector('th');
+            if (header) {
+                const text = header.textContent.trim();
+                if (text.startsWith('Rotation ')) {
+                    rotation = text.substring('Rotation '.length).trim();
+                    stage = null;
+                } else if (text.startsWith('Stage ') || text === 'Final Stage') {
+                    stage = text;
+                } else {
+                    mission = text;
+                    rotation = null;
+                    stage = null;
+                }
+                return;
+            }
+
+            const [item = '', chanceText = ''] = Array.from(row.querySelectorAll('td'), cell => cell.textContent.trim()).filter(Boolean);
+            if (mission && isRelic(item)) {
+                // The stage is part of where the relic drops, e.g. "Level 5 - 15 Cetus Bounty (Stage 1)"
+                const source = stage ? `${mission} (${stage})` : mission;
+                if (!relicSources[item]) {
+                    relicSources[item] = [];
+                }
+                const known = relicSources[item].some(entry => entry.mission === source && entry.rotation === rotation);
+                if (!known) {
+                    relicSources[item].push({ mission: source, rotation, chance: chanceText ? parseChance(chanceText) : null });
+                }
+            }
+        });
+    }
+
+    return relicSources;
+}
+
+/**
+ * Parses the numeric percentage out of a drop chance cell, e.g. "Uncommon (11.00%)"
+ * @param {string} chanceText - The text of the drop chance cell
+ * @returns {number|null} - Drop chance in percent or null if none was found
+ */
+export function parseChance(chanceText) {
+    const match = chanceText.match(/([\d.]+)\s*%/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Extracts the rewards of a relic at a single refinement level
+ * @param {Document} document - The DOM document
+ * @param {string} relicName - The name of the relic
+ * @param {string} refinement - The refinement level, e.g. "Radiant"
+ * @returns {Array<{item: string, chance: number|null}>} - Array of reward items with their drop chance
+ */
+function findRelicRefinementData(document, relicName, refinement) {
+    const searchName = `${relicName} (${refinement})`;
+    const targetTableStart = findTableHeader(document, searchName);
+
+    // Missing tables are reported by the validation
+    if (!targetTableStart) return [];
+
+    // Extract rows of the relic table
+    let rows = [];
+    let currentRow = targetTableStart.parentElement.nextElementSibling;
+
+    while (currentRow && !currentRow.classList.contains('blank-row')) {
+        const cells = currentRow.querySelectorAll('td');
+        if (cells.length > 1) {
+            rows.push({
+                item: cells[0].textContent.trim(),
+                chance: parseChance(cells[1].textContent.trim())
+            });
+        }
+        currentRow = currentRow.nextElementSibling;
+    }
+
+    return rows;
+}
+
+/**
+ * Extracts reward data for a specific relic across all refinement levels
+ * @param {Document} document - The DOM document
+ * @param {string} relicName - The name of the relic to extract rewards from
+ * @returns {Array<{item: string, rarity: string, chances: Object<string, number|null>}>} - Array of reward items with their rarity and drop chance per refinement
+ */
+export function findRelicTableData(document, relicName) {
+    const rewards = new Map();
+
+    for (const refinement of REFINEMENTS) {
+        findRelicRefinementData(document, relicName, refinement).forEach(({ item, chance }) => {
+            if (!rewards.has(item)) {
+                const chances = Object.fromEntries(REFINEMENTS.map(level => [level, null]));
+                rewards.set(item, { item, rarity: '', chances });
+            }
+            rewards.get(item).chances[refinement] = chance;
+        });
+    }
+
+    // Determine rarity based on the Intact drop chance
+    for (const reward of rewards.values()) {
+        const intactChance = reward.chances.Intact;
+        reward.rarity = intactChance === null ? '' : RARITY_BY_INTACT_CHANCE[intactChance.toFixed(2)] || '';
+    }
+
+    return Array.from(rewards.values());
+}
+
+/**
+ * Extracts every relic that currently drops from a mission, with its rewards and sources
+ * @param {Document} document - The DOM document
+ * @returns {{relicData: Object, relicSources: Object}} - Relic rewards and mission sources keyed by relic name
+ */
+export function extractRelicData(document) {
+    const relicSources = findRelicSources(document);
+
+    const relicData = {};
+    for (const relic of Object.keys(relicSources).sort(compareRelics)) {
+        relicData[relic] = findRelicTableData(document, relic);
+    }
+
+    return { relicData, relicSources };
+}
+
+/**
+ * Groups relic rewards by prime set and classifies every set
+ * @param {Object} relicData - Relic reward data
+ * @returns {Object} - Prime sets keyed by name, each with its category, subtype and the parts found in relics
+ */
+export function extractPrimes(relicData) {
+    const primes = {};
+
+    for (const relic in relicData) {
+        relicData[relic].forEach(({ item, rarity, chances }) => {
+            if (!item.includes('Forma') && item.includes('Prime')) {
+                const { set, component } = splitItemName(item);
+                if (!primes[set]) {
+                    primes[set] = { name: set, parts: [] };
+                }
+                primes[set].parts.push({ item, component, rarity, chances, source: relic });
+            }
+        });
+    }
+
+    Object.values(primes).forEach(prime => {
+        Object.assign(prime, classifySet(prime.name, prime.parts.map(({ component }) => component)));
+    });
+
+    return primes;
+}
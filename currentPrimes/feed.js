@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import { DEFAULT_LOCALE, getCatalog, translate, formatDate } from './locales.js';
+
+/**
+ * Name of the feed file, written next to the page
+ */
+export const FEED_FILE = 'feed.xml';
+
+/**
+ * Most recent entries kept in the feed, older ones drop out
+ */
+const FEED_ENTRIES = 50;
+
+/**
+ * Prefix of the names entry ids are derived from, changing it would make feed readers show every entry again
+ */
+const FEED_ID_NAME = 'warframe-prime-nexus/rotation';
+
+/**
+ * Escapes text for XML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Derives a name-based UUID, the same for the same name on every build
+ * @param {string} name - Name the id is derived from
+ * @returns {string} - URN of the UUID, e.g. "urn:uuid:0f8e55b4-…"
+ */
+function nameId(name) {
+    const bytes = crypto.createHash('sha1').update(name).digest().subarray(0, 16);
+
+    // Version 5 (SHA-1, name-based) and RFC 4122 variant bits
+    bytes[6] = (bytes[6] & 0x0f) | 0x50;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytes.toString('hex');
+    return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Lists what entered or left the rotation between two snapshots
+ * @param {Object} previous - Snapshot of the earlier run
+ * @param {Object} current - Snapshot of the later run
+ * @returns {Object} - Snapshot dates with the prime sets and relics that were added or removed
+ */
+export function diffSnapshots(previous, current) {
+    const diff = (before, after) => ({
+        added: after.filter(name => !before.includes(name)),
+        removed: before.filter(name => !after.includes(name))
+    });
+
+    return {
+        date: current.date,
+        generatedAt: current.generatedAt,
+        previousGeneratedAt: previous.generatedAt,
+        primes: diff(Object.keys(previous.primes), Object.keys(current.primes)),
+        relics: diff(previous.relics, current.relics)
+    };
+}
+
+/**
+ * Lists the runs that changed the rotation, one per snapshot that differs from the one before
+ * @param {Object[]} snapshots - Snapshots, oldest first
+ * @returns {Object[]} - Changes returned by diffSnapshots, newest first
+ */
+export function rotationChanges(snapshots) {
+    return snapshots.slice(1)
+        .map((snapshot, index) => diffSnapshots(snapshots[index], snapshot))
+        .filter(({ primes, relics }) => [primes, relics].some(({ added, removed }) => added.length > 0 || removed.length > 0))
+        .reverse();
+}
+
+/**
+ * Writes the changes of one run as the HTML content of a feed entry
+ * @param {Object} change - Changes returned by diffSnapshots
+ * @param {Object} catalog - Markdown catalog of the feed locale
+ * @param {string} locale - Locale of the dates
+ * @returns {string} - HTML content, not yet escaped for XML
+ */
+function entryContent(change, catalog, locale) {
+    const sections = [
+        ['addedPrimes', change.primes.added],
+        ['removedPrimes', change.primes.removed],
+        ['addedRelics', change.relics.added],
+        ['removedRelics', change.relics.removed]
+    ];
+
+    return [
+        `<p>${escapeXml(translate(catalog.comparedWith, { date: formatDate(new Date(change.previousGeneratedAt), locale) }))}</p>`,
+        ...sections
+            .filter(([, names]) => names.length > 0)
+            .map(([key, names]) => `<h2>${escapeXml(catalog.changelog[key])}</h2><ul>${names.map(name => `<li>${escapeXml(name)}</li>`).join('')}</ul>`)
+    ].join('');
+}
+
+/**
+ * Generates an Atom feed with an entry per run that added or removed prime sets or relics
+ * @param {Object[]} snapshots - Snapshots, oldest first, see readSnapshots
+ * @param {Object} [options] - Feed options
+ * @param {string|null} [options.baseUrl] - Public URL of the page, for the links of the feed; left out when null
+ * @param {string} [options.locale] - Locale the titles and dates are written in
+ * @param {number} [options.limit] - Most recent entries to keep
+ * @returns {string} - Atom XML document
+ */
+export function generateFeed(snapshots, { baseUrl = null, locale = DEFAULT_LOCALE, limit = FEED_ENTRIES } = {}) {
+    const catalog = getCatalog(locale);
+    const base = baseUrl ? baseUrl.replace(/\/?$/, '/') : null;
+    const latest = snapshots[snapshots.length - 1];
+    const links = base
+        ? [
+            `  <link rel="self" type="application/atom+xml" href="${escapeXml(base + FEED_FILE)}"/>`,
+            `  <link rel="alternate" type="text/html" href="${escapeXml(base)}"/>`
+        ]
+        : [];
+
+    // Entry ids only depend on the snapshot date, so a rerun on the same day updates its entry
+    const entries = rotationChanges(snapshots).slice(0, limit).map(change => [
+        '  <entry>',
+        `    <id>${nameId(`${FEED_ID_NAME}/${change.date}`)}</id>`,
+        `    <title>${escapeXml(translate(catalog.feed.entryTitle, { date: formatDate(new Date(change.generatedAt), locale) }))}</title>`,
+        `    <updated>${escapeXml(change.generatedAt)}</updated>`,
+        `    <content type="html">${escapeXml(entryContent(change, catalog, locale))}</content>`,
+        '  </entry>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(locale)}">`,
+        `  <id>${nameId(FEED_ID_NAME)}</id>`,
+        `  <title>${escapeXml(catalog.feed.title)}</title>`,
+        `  <subtitle>${escapeXml(catalog.feed.subtitle)}</subtitle>`,
+        `  <updated>${escapeXml(latest ? latest.generatedAt : new Date().toISOString())}</updated>`,
+        '  <author><name>Warframe Prime Nexus</name></author>',
+        ...links,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Version of the snapshot file format, bumped on breaking changes to its shape
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Snapshot files are named after the day they were taken, e.g. "2026-10-19.json"
+ */
+const SNAPSHOT_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+/**
+ * Reduces a data document to what the availability history needs
+ * @param {Object} data - JSON data document
+ * @returns {Object} - Snapshot with the relics each prime set drops from and the list of current relics
+ */
+export function createSnapshot(data) {
+    const primes = {};
+
+    Object.values(data.primes).forEach(({ name, parts }) => {
+        primes[name] = [...new Set(parts.map(({ relic }) => relic))].sort();
+    });
+
+    return {
+        snapshotVersion: SNAPSHOT_VERSION,
+        date: data.generatedAt.substring(0, 10),
+        generatedAt: data.generatedAt,
+        primes,
+        relics: Object.keys(data.relics)
+    };
+}
+
+/**
+ * Saves a snapshot as "<date>.json", replacing an earlier snapshot of the same day
+ * @param {string} archiveDir - Directory holding the dated snapshots
+ * @param {Object} snapshot - Snapshot returned by createSnapshot
+ * @returns {string} - Path of the written file
+ */
+export function writeSnapshot(archiveDir, snapshot) {
+    const file = path.join(archiveDir, `${snapshot.date}.json`);
+
+    fs.mkdirSync(archiveDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+    return file;
+}
+
+/**
+ * Reads every snapshot of the archive
+ * @param {string} archiveDir - Directory holding the dated snapshots
+ * @returns {Object[]} - Snapshots, oldest first
+ */
+export function readSnapshots(archiveDir) {
+    if (!fs.existsSync(archiveDir)) return [];
+
+    return fs.readdirSync(archiveDir)
+        .filter(file => SNAPSHOT_FILE_PATTERN.test(file))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(archiveDir, file), 'utf8')))
+        .filter(snapshot => snapshot.snapshotVersion === SNAPSHOT_VERSION);
+}
+
+/**
+ * Adds a snapshot date to the availability ranges of an item
+ * @param {Object<string, Array<{from: string, to: string}>>} ranges - Date ranges keyed by item name
+ * @param {string} name - Prime set or relic name
+ * @param {string} date - Snapshot date
+ * @param {string|null} previousDate - Date of the snapshot before, if any
+ */
+function extendRange(ranges, name, date, previousDate) {
+    if (!ranges[name]) {
+        ranges[name] = [];
+    }
+
+    // A range continues as long as the item is in every consecutive snapshot
+    const last = ranges[name][ranges[name].length - 1];
+    if (last && last.to === previousDate) {
+        last.to = date;
+    } else {
+        ranges[name].push({ from: date, to: date });
+    }
+}
+
+/**
+ * Builds the date ranges each prime set and relic was obtainable in
+ * @param {Object[]} snapshots - Snapshots, oldest first
+ * @returns {Object} - First and last snapshot dates and availability ranges keyed by prime set and relic name
+ */
+export function buildHistory(snapshots) {
+    const history = {
+        firstDate: snapshots.length > 0 ? snapshots[0].date : null,
+        lastDate: snapshots.length > 0 ? snapshots[snapshots.length - 1].date : null,
+        snapshots: snapshots.length,
+        primes: {},
+        relics: {}
+    };
+
+    let previousDate = null;
+    snapshots.forEach(snapshot => {
+        Object.keys(snapshot.primes).forEach(name => extendRange(history.primes, name, snapshot.date, previousDate));
+        snapshot.relics.forEach(name => extendRange(history.relics, name, snapshot.date, previousDate));
+        previousDate = snapshot.date;
+    });
+
+    return history;
+}
@@ -0,0 +1,21 @@
+/**
+ * CommonJS entry point. The library is written as ES modules, which CommonJS code can
+ * only load asynchronously, so every function here returns a promise, even those that
+ * are synchronous in index.js. There is no synchronous CommonJS API.
+ */
+
+/**
+ * Loads the full ES module API, for anything not wrapped below
+ * @returns {Promise<Object>} - Everything exported by index.js
+ */
+function load() {
+    return import('./index.js');
+}
+
+module.exports = {
+    load,
+    parseDropTable: async (html, source) => (await load()).parseDropTable(html, source),
+    loadDropTable: async source => (await load()).loadDropTable(source),
+    generate: async options => (await load()).generate(options),
+    diffData: async (previous, current) => (await load()).diffData(previous, current)
+};
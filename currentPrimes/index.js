@@ -0,0 +1,144 @@
+import { JSDOM } from 'jsdom';
+import { loadHTML } from './source.js';
+import { extractRelicData, extractPrimes } from './extraction.js';
+import { generateData, generateMarkdown } from './output.js';
+import { validateExtraction } from './validation.js';
+import { DROP_TABLE_URL } from './main.js';
+
+export { DROP_TABLE_URL, EXIT_CODES, extract, generate, readPreviousData } from './main.js';
+export { compareRelics, extractRelicData, extractPrimes } from './extraction.js';
+export { DATA_SCHEMA_VERSION, DATA_SCHEMA_URL, formatChances, formatSource, generateChangelogMarkdown, generateData, generateMarkdown } from './output.js';
+export { CATEGORIES, SUBTYPE_TITLES, splitItemName, classifySet } from './classification.js';
+export { SEVERITY, ValidationError, validateExtraction, formatReport } from './validation.js';
+export { diffData, hasChanges } from './changelog.js';
+export { createSnapshot, writeSnapshot, readSnapshots, buildHistory } from './history.js';
+export { FEED_FILE, diffSnapshots, rotationChanges, generateFeed } from './feed.js';
+export { REFINEMENTS, RELIC_TIERS, RARITY_ORDER } from './constants.js';
+export { DEFAULT_LOCALE, LOCALES, getCatalog, formatPercent, formatDate } from './locales.js';
+export { loadHTML } from './source.js';
+
+/**
+ * A parsed drop table, queried through the same shapes as the JSON data document
+ */
+export class DropTable {
+    /**
+     * @param {Document} document - The DOM document of the drop table
+     * @param {string} [source] - Where the drop table was read from, recorded in the data document
+     */
+    constructor(document, source = null) {
+        this.document = document;
+        this.source = source;
+
+        const { relicData, relicSources } = extractRelicData(document);
+        this.relicData = relicData;
+        this.relicSources = relicSources;
+        this.primeSets = extractPrimes(relicData);
+        this.data = generateData(this.primeSets, relicData, relicSources, source);
+    }
+
+    /**
+     * Lists every relic that drops from a mission, Lith to Axi
+     * @returns {Array<{name: string, tier: string, rewards: Object[], sources: Object[]}>} - Relics with their rewards and sources
+     */
+    relics() {
+        return Object.entries(this.data.relics).map(([name, relic]) => ({ name, ...relic }));
+    }
+
+    /**
+     * Looks up a relic by name, e.g. "Axi A16 Relic"
+     * @param {string} name - Relic name
+     * @returns {Object|null} - The relic with its rewards and sources, or null if it doesn't drop
+     */
+    relic(name) {
+        return this.data.relics[name] ? { name, ...this.data.relics[name] } : null;
+    }
+
+    /**
+     * Lists every prime set with a part in a current relic, sorted by name
+     * @returns {Array<{name: string, category: string, subtype: string, parts: Object[]}>} - Prime sets
+     */
+    primes() {
+        return Object.values(this.data.primes);
+    }
+
+    /**
+     * Looks up a prime set by name, e.g. "Kavasa Prime Kubrow Collar"
+     * @param {string} name - Set name
+     * @returns {Object|null} - The set with its category, subtype and parts, or null if none of its parts drop
+     */
+    prime(name) {
+        return this.data.primes[name] || null;
+    }
+
+    /**
+     * Lists every prime part, once per relic it drops from
+     * @param {string} [part] - Only list this part, e.g. "Nidus Prime Blueprint"
+     * @returns {Array<{prime: string, part: string, component: string, rarity: string, relic: string, chances: Object}>} - Parts with their set
+     */
+    parts(part) {
+        return this.primes()
+            .flatMap(({ name, parts }) => parts.map(entry => ({ prime: name, ...entry })))
+            .filter(entry => !part || entry.part === part);
+    }
+
+    /**
+     * Lists the missions a relic drops from
+     * @param {string} relic - Relic name
+     * @returns {Array<{mission: string, rotation: string|null, chance: number}>} - Sources, empty if the relic doesn't drop
+     */
+    sources(relic) {
+        return this.data.relics[relic] ? this.data.relics[relic].sources : [];
+    }
+
+    /**
+     * Checks the extracted data against the fixed structure of relics
+     * @returns {Object} - Validation report with its errors and warnings
+     */
+    validate() {
+        return validateExtraction(this.document, this.relicData, this.relicSources, this.primeSets);
+    }
+
+    /**
+     * Builds the JSON data document, without changelog or history
+     * @returns {Object} - Data document as described by currentPrimes.schema.json
+     */
+    toJSON() {
+        return this.data;
+    }
+
+    /**
+     * Builds the markdown file
+     * @param {Object|null} [changelog] - Changes since a previous run, as returned by diffData
+     * @param {string} [locale] - Locale the markdown is written in, English by default
+     * @returns {string} - Markdown content
+     */
+    toMarkdown(changelog = null, locale = undefined) {
+        return generateMarkdown(this.primeSets, this.relicData, this.relicSources, changelog, locale);
+    }
+}
+
+/**
+ * Parses a drop table from its HTML
+ * @param {string} html - Content of the drop table page
+ * @param {string} [source] - Where the HTML was read from, recorded in the data document
+ * @returns {DropTable} - The parsed drop table
+ */
+export function parseDropTable(html, source = null) {
+    return new DropTable(new JSDOM(html).window.document, source);
+}
+
+/**
+ * Loads and parses a drop table from a file, a directory of saved pages or a URL
+ * @param {string|Object} [source] - Path or URL, or a source object as taken by loadHTML; downloads the official page by default
+ * @param {Function} [source.log] - Receives progress messages, e.g. console.log; nothing is logged by default
+ * @returns {Promise<DropTable>} - The parsed drop table
+ */
+export async function loadDropTable(source = {}) {
+    if (typeof source === 'string') {
+        source = /^https?:\/\//.test(source) ? { url: source } : { input: source };
+    }
+
+    const { url = DROP_TABLE_URL, input, cacheDir = null, log } = source;
+    const html = await loadHTML({ url, input, cacheDir, log });
+    return parseDropTable(html, input || url);
+}
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Directory of the markdown catalogs, one <locale>.json per language
+ */
+const LOCALES_DIR = new URL('./locales/', import.meta.url);
+
+/**
+ * Locale the markdown is written in unless another one is asked for
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Markdown catalogs keyed by locale, e.g. "en" or "fr"
+ */
+export const LOCALES = Object.fromEntries(fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(new URL(file, LOCALES_DIR), 'utf8'))]));
+
+/**
+ * Looks up the markdown catalog of a locale
+ * @param {string} [locale] - Locale, e.g. "fr"
+ * @returns {Object} - Headings, labels and names of the generated markdown
+ * @throws {Error} - When there is no catalog for the locale
+ */
+export function getCatalog(locale = DEFAULT_LOCALE) {
+    if (!LOCALES[locale]) {
+        throw new Error(`Unknown locale "${locale}", expected one of ${Object.keys(LOCALES).join(', ')}`);
+    }
+    return LOCALES[locale];
+}
+
+/**
+ * Fills the placeholders of a catalog message, e.g. "Rotation {rotation}"
+ * @param {string} message - Catalog message
+ * @param {Object<string, string>} params - Value of every placeholder
+ * @returns {string} - Message with its placeholders replaced
+ */
+export function translate(message, params) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Formats a chance in percent for a locale, e.g. "10.00%" in English or "10,00 %" in French
+ * @param {number} chance - Drop chance in percent
+ * @param {string} [locale] - Locale
+ * @returns {string} - Formatted chance
+ */
+export function formatPercent(chance, locale = DEFAULT_LOCALE) {
+    return new Intl.NumberFormat(locale, {
+        style: 'percent',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(chance / 100);
+}
+
+/**
+ * Formats a date for a locale, e.g. "October 19, 2026" in English or "19 octobre 2026" in French.
+ * The day is taken in UTC so it doesn't depend on the time zone of the machine the markdown is written on
+ * @param {Date} date - Date to format
+ * @param {string} [locale] - Locale
+ * @returns {string} - Formatted date
+ */
+export function formatDate(date, locale = DEFAULT_LOCALE) {
+    return date.toLocaleDateString(locale, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
@@ -1,21 +1,39 @@
-import fetch from 'node-fetch';
 import { JSDOM } from 'jsdom';
 import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { loadHTML } from './source.js';
+import { diffData } from './changelog.js';
+import { createSnapshot, writeSnapshot, readSnapshots, buildHistory } from './history.js';
+import { FEED_FILE, generateFeed } from './feed.js';
+import { validateExtraction, formatReport, ValidationError } from './validation.js';
+import { extractRelicData, extractPrimes } from './extraction.js';
+import { DATA_SCHEMA_VERSION, generateMarkdown, generateData } from './output.js';
+import { DEFAULT_LOCALE, getCatalog } from './locales.js';
 
 /**
- * Fetches and parses HTML content from a URL
- * @param {string} url - The URL to fetch HTML from
+ * Official PC drop table page
+ */
+export const DROP_TABLE_URL = 'https://warframe-web-assets.nyc3.cdn.digitaloceanspaces.com/uploads/cms/hnfvc0o3jnfvc873njb03enrf56.html';
+
+/**
+ * Process exit codes
+ */
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    VALIDATION_FAILED: 2
+};
+
+/**
+ * Loads and parses the drop table HTML
+ * @param {Object} source - Where to read the drop table from, see loadHTML
  * @returns {Document|null} - Parsed DOM document or null on failure
  */
-async function fetchAndParseHTML(url) {
+async function fetchAndParseHTML(source) {
     try {
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        
-        const htmlContent = await response.text();
+        const htmlContent = await loadHTML({ log: console.log, ...source });
         return new JSDOM(htmlContent).window.document;
     } catch (error) {
         console.error('Error fetching or parsing the HTML content:', error);
@@ -24,225 +42,179 @@ async function fetchAndParseHTML(url) {
 }
 
 /**
- * Extracts relic names from a subtable
- * @param {Document} document - The DOM document
- * @param {string} subTableTitle - The title of the subtable to extract from
- * @returns {string[]} - Array of relic names
+ * Reads the data document written by the previous run
+ * @param {string} file - Path of the previous JSON data file
+ * @returns {Object|null} - Previous data document, or null if there is none to compare with
  */
-function findSubTableData(document, subTableTitle) {
-    const tables = document.querySelectorAll('th');
-    let targetTableStart = Array.from(tables).find(th => th.textContent.trim() === subTableTitle);
-
-    if (!targetTableStart) {
-        console.error(`Subtable not found: ${subTableTitle}`);
-        return [];
-    }
-
-    // Extract rows of the subtable
-    let rows = [];
-    let currentRow = targetTableStart.parentElement.nextElementSibling;
-
-    while (currentRow && !currentRow.classList.contains('blank-row')) {
-        const tdElement = currentRow.querySelector('td');
-        if (!currentRow.querySelector('th') && tdElement && tdElement.textContent.includes("Relic")) {
-            rows.push(tdElement.textContent.trim());
-        }
-        currentRow = currentRow.nextElementSibling;
-    }
-
-    return rows;
-}
-
-/**
- * Extracts reward data for a specific relic
- * @param {Document} document - The DOM document
- * @param {string} relicName - The name of the relic to extract rewards from
- * @returns {Array<{item: string, rarity: string}>} - Array of reward items with their rarity
- */
-function findRelicTableData(document, relicName) {
-    const tables = document.querySelectorAll('th');
-    const searchName = `${relicName} (Intact)`;
-    let targetTableStart = Array.from(tables).find(th => th.textContent.trim() === searchName);
-
-    if (!targetTableStart) {
-        console.error(`Relic table not found: ${searchName}`);
-        return [];
+export function readPreviousData(file) {
+    if (!fs.existsSync(file)) {
+        console.log(`No previous data found at ${file}, skipping the changelog`);
+        return null;
     }
 
-    // Extract rows of the relic table
-    let rows = [];
-    let currentRow = targetTableStart.parentElement.nextElementSibling;
-
-    while (currentRow && !currentRow.classList.contains('blank-row')) {
-        const cells = currentRow.querySelectorAll('td');
-        if (cells.length > 0) {
-            const item = cells[0].textContent.trim();
-            const rarityText = cells[1].textContent.trim();
-
-            // Determine rarity based on drop chance percentage
-            let rarity = '';
-            if (rarityText.includes('25.33%')) {
-                rarity = 'Common';
-            } else if (rarityText.includes('11.00%')) {
-                rarity = 'Uncommon';
-            } else if (rarityText.includes('2.00%')) {
-                rarity = 'Rare';
-            }
-
-            rows.push({ item, rarity });
+    try {
+        const previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (previous.schemaVersion !== DATA_SCHEMA_VERSION) {
+            console.warn(`Previous data at ${file} has schemaVersion ${previous.schemaVersion}, skipping the changelog`);
+            return null;
         }
-        currentRow = currentRow.nextElementSibling;
+        return previous;
+    } catch (error) {
+        console.warn(`Couldn't read previous data at ${file}, skipping the changelog:`, error.message);
+        return null;
     }
-
-    return rows;
 }
 
 /**
- * Extracts data from multiple subtables and their associated relics
- * @param {string} url - The URL to fetch data from
- * @param {string[]} subTableTitles - Array of subtable titles to extract
- * @returns {Object} - Object containing relic data
+ * Loads the drop table and extracts and validates its relic and prime data
+ * @param {Object} source - Where to read the drop table from, see loadHTML
+ * @returns {Promise<Object>} - Relic rewards, relic sources, classified primes and the validation report
  */
-async function extractSubTableData(url, subTableTitles) {
-    const document = await fetchAndParseHTML(url);
-    if (!document) return {};
+export async function extract(source) {
+    const document = await fetchAndParseHTML(source);
 
-    const results = {};
-    for (const title of subTableTitles) {
-        results[title] = findSubTableData(document, title);
+    if (!document) {
+        throw new Error('No drop table could be loaded');
     }
 
-    const relicData = {};
-    for (const subTable in results) {
-        for (const relic of results[subTable]) {
-            relicData[relic] = findRelicTableData(document, relic);
-        }
-    }
+    const { relicData, relicSources } = extractRelicData(document);
+    const primes = extractPrimes(relicData);
+    const report = validateExtraction(document, relicData, relicSources, primes);
 
-    return relicData;
+    return { relicData, relicSources, primes, report };
 }
 
 /**
- * Cleans and sorts the relics in proper order
- * @param {Object} relicsData - Raw relic data
- * @returns {string[]} - Sorted array of unique relic names
+ * Generates the markdown and JSON data files from the drop table
+ * @param {Object} options - Generation options
+ * @param {Object} options.source - Where to read the drop table from, see loadHTML
+ * @param {string} [options.outDir] - Directory the markdown and JSON files are written to
+ * @param {string[]} [options.formats] - Files to write, any of "md", "json" and "atom"
+ * @param {string|null} [options.previous] - Data file of the previous run to compare against, null to skip the changelog
+ * @param {string|null} [options.archiveDir] - Directory of dated snapshots, null to skip archiving; the feed is built from them
+ * @param {string|null} [options.report] - File the validation report is written to, null to skip it
+ * @param {boolean} [options.strict] - Fail on validation warnings as well as errors
+ * @param {string} [options.locale] - Locale the markdown and feed are written in, see LOCALES
+ * @param {string|null} [options.baseUrl] - Public URL of the page, for the links of the feed
+ * @returns {Promise<Object>} - The data document, markdown content and the paths of the written files
+ * @throws {ValidationError} - When validation fails, before any output file is written
  */
-function cleanAndOrderRelics(relicsData) {
-    const relicsSet = new Set();
-
-    for (const key in relicsData) {
-        relicsData[key].forEach(item => relicsSet.add(item.item));
+export async function generate({
+    source,
+    outDir = '.',
+    formats = ['md', 'json'],
+    previous = path.join(outDir, 'currentPrimes.json'),
+    archiveDir = 'history',
+    report: reportFile = 'validation-report.json',
+    strict = false,
+    locale = DEFAULT_LOCALE,
+    baseUrl = null
+}) {
+    // Checked up front so an unknown locale or a feed without snapshots doesn't surface after the download
+    getCatalog(locale);
+    if (formats.includes('atom') && !archiveDir) {
+        throw new Error('The feed is built from the archived snapshots, it needs an archive directory');
     }
 
-    return Array.from(relicsSet).sort((a, b) => {
-        const order = ['Lith', 'Meso', 'Neo', 'Axi'];
-        const [typeA, typeB] = [a.split(' ')[0], b.split(' ')[0]];
+    console.log('Fetching Warframe relic data...');
+    const { relicData, relicSources, primes, report } = await extract(source);
 
-        if (typeA === typeB) {
-            return a.localeCompare(b);
-        }
-        return order.indexOf(typeA) - order.indexOf(typeB);
-    });
-}
-
-/**
- * Groups relic rewards by prime item
- * @param {Object} relicData - Relic reward data
- * @returns {Object} - Grouped prime item data
- */
-function extractPrimes(relicData) {
-    const primes = {};
-
-    for (const relic in relicData) {
-        relicData[relic].forEach(({ item, rarity }) => {
-            if (!item.includes('Forma') && item.includes('Prime')) {
-                const primeName = item.split(' Prime')[0] + ' Prime';
-                if (!primes[primeName]) {
-                    primes[primeName] = [];
-                }
-                primes[primeName].push({ item, rarity, source: relic });
-            }
-        });
+    // Validate before anything is written so a broken page never gets published
+    fs.mkdirSync(outDir, { recursive: true });
+    if (reportFile) {
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n');
     }
+    console.log(formatReport(report));
 
-    return primes;
-}
-
-/**
- * Generates markdown content from the extracted data
- * @param {Object} primes - Grouped prime item data
- * @param {Object} relicData - Relic reward data
- * @param {Object} relicLocations - Mapping of relic tiers to locations
- * @returns {string} - Generated markdown content
- */
-function generateMarkdown(primes, relicData, relicLocations) {
-    const currentDate = new Date().toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
+    const failing = strict ? report.issues : report.errors;
+    if (failing.length > 0) {
+        throw new ValidationError(report);
+    }
 
-    let markdown = `# Generated on ${currentDate}\n\n# Primes\n\n`;
+    const previousData = previous ? readPreviousData(previous) : null;
+    const data = generateData(primes, relicData, relicSources, source.input || source.url);
+    const changelog = previousData ? diffData(previousData, data) : null;
+    data.changelog = changelog;
+
+    let snapshots = [];
+    if (archiveDir) {
+        const snapshotFile = writeSnapshot(archiveDir, createSnapshot(data));
+        console.log(`Snapshot has been archived as ${snapshotFile}`);
+        snapshots = readSnapshots(archiveDir);
+        data.history = buildHistory(snapshots);
+    }
+    const markdown = generateMarkdown(primes, relicData, relicSources, changelog, locale);
 
-    // Sort primes alphabetically
-    const sortedPrimes = Object.keys(primes).sort();
+    const files = [];
 
-    sortedPrimes.forEach(prime => {
-        markdown += `- ${prime}\n`;
-        const sortedItems = primes[prime].sort((a, b) => {
-            const rarityOrder = ['Rare', 'Uncommon', 'Common'];
-            return rarityOrder.indexOf(a.rarity) - rarityOrder.indexOf(b.rarity);
-        });
-        sortedItems.forEach(({ item, rarity, source }) => {
-            markdown += `  - ${item} (${rarity}) -> ${source}\n`;
-        });
-    });
+    if (formats.includes('md')) {
+        const file = path.join(outDir, 'currentPrimes.md');
+        fs.writeFileSync(file, markdown);
+        console.log(`Markdown file has been generated as ${file}`);
+        files.push(file);
+    }
 
-    markdown += '\n# Relics\n\n';
+    if (formats.includes('json')) {
+        const file = path.join(outDir, 'currentPrimes.json');
+        fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+        console.log(`JSON data file has been generated as ${file}`);
+        files.push(file);
+    }
 
-    for (const relic in relicData) {
-        markdown += `## ${relic}\n\n`;
-        relicData[relic].forEach(({ item, rarity }) => {
-            markdown += `- ${item} (${rarity})\n`;
-        });
-        markdown += `\n**Location**: ${relicLocations[relic.split(' ')[0]]}\n\n`;
+    if (formats.includes('atom')) {
+        const file = path.join(outDir, FEED_FILE);
+        fs.writeFileSync(file, generateFeed(snapshots, { baseUrl, locale }));
+        console.log(`Atom feed has been generated as ${file}`);
+        files.push(file);
     }
 
-    return markdown;
+    return { data, markdown, files };
 }
 
 /**
  * Main entry point
  */
 async function main() {
-    const url = 'https://warframe-web-assets.nyc3.cdn.digitaloceanspaces.com/uploads/cms/hnfvc0o3jnfvc873njb03enrf56.html';
-    const subTableTitles = ['Void/Hepit (Capture)', 'Void/Ukko (Capture)', 'Lua/Apollo (Disruption)'];
-    const relicLocations = {
-        'Lith': 'Void/Hepit (Capture)',
-        'Meso': 'Void/Ukko (Capture)',
-        'Neo': 'Void/Ukko (Capture), Lua/Apollo (Disruption)',
-        'Axi': 'Lua/Apollo (Disruption)'
-    };
+    const { values: options } = parseArgs({
+        options: {
+            input: { type: 'string', short: 'i' },
+            url: { type: 'string', default: DROP_TABLE_URL },
+            'cache-dir': { type: 'string', default: '.cache' },
+            'no-cache': { type: 'boolean', default: false },
+            previous: { type: 'string', default: 'currentPrimes.json' },
+            'archive-dir': { type: 'string', default: 'history' },
+            'no-archive': { type: 'boolean', default: false },
+            report: { type: 'string', default: 'validation-report.json' },
+            strict: { type: 'boolean', default: false },
+            locale: { type: 'string', default: DEFAULT_LOCALE }
+        }
+    });
 
     try {
-        console.log('Fetching Warframe relic data...');
-        const data = await extractSubTableData(url, subTableTitles);
-        
-        if (Object.keys(data).length === 0) {
-            throw new Error('No relic data found');
-        }
-        
-        const cleanRelics = cleanAndOrderRelics(data);
-        const primes = extractPrimes(data);
-        const markdownContent = generateMarkdown(primes, data, relicLocations);
-        
-        fs.writeFileSync('currentPrimes.md', markdownContent);
-        console.log('Markdown file has been generated as currentPrimes.md');
+        await generate({
+            source: {
+                url: options.url,
+                input: options.input,
+                cacheDir: options['no-cache'] ? null : options['cache-dir']
+            },
+            previous: options.previous,
+            archiveDir: options['no-archive'] ? null : options['archive-dir'],
+            report: options.report,
+            strict: options.strict,
+            locale: options.locale
+        });
     } catch (error) {
-        console.error('Error generating markdown:', error);
-        process.exit(1);
+        if (error instanceof ValidationError) {
+            console.error(`Validation failed, no output files were written. See ${options.report} for details.`);
+            process.exit(EXIT_CODES.VALIDATION_FAILED);
+        }
+
+        console.error('Error generating output files:', error);
+        process.exit(EXIT_CODES.ERROR);
     }
 }
 
-// Execute the main function
-main();
\ No newline at end of file
+// Only run when executed directly, not when imported by the nexus CLI
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,214 @@
+import { REFINEMENTS, RARITY_ORDER } from './constants.js';
+import { hasChanges } from './changelog.js';
+import { SUBTYPE_TITLES } from './classification.js';
+import { DEFAULT_LOCALE, getCatalog, translate, formatPercent, formatDate } from './locales.js';
+
+/**
+ * Version of the JSON data document, bumped on breaking changes to its shape
+ */
+export const DATA_SCHEMA_VERSION = 1;
+
+/**
+ * Location of the JSON schema describing the data document
+ */
+export const DATA_SCHEMA_URL = 'https://raw.githubusercontent.com/Steinzu/WarframePrimeNexus/main/currentPrimes/currentPrimes.schema.json';
+
+/**
+ * Compares two rewards by rarity, rarest first
+ * @param {{rarity: string}} a - First reward
+ * @param {{rarity: string}} b - Second reward
+ * @returns {number} - Sort order
+ */
+function compareRarity(a, b) {
+    return RARITY_ORDER.indexOf(a.rarity) - RARITY_ORDER.indexOf(b.rarity);
+}
+
+/**
+ * Formats the drop chances of a reward for every known refinement level
+ * @param {Object<string, number|null>} chances - Drop chance per refinement
+ * @param {string} [locale] - Locale of the refinement names and numbers
+ * @returns {string} - Formatted chances, e.g. "Intact: 2.00%, Radiant: 10.00%"
+ */
+export function formatChances(chances, locale = DEFAULT_LOCALE) {
+    const catalog = getCatalog(locale);
+
+    return REFINEMENTS
+        .filter(refinement => typeof chances[refinement] === 'number')
+        .map(refinement => `${catalog.refinements[refinement]}: ${formatPercent(chances[refinement], locale)}`)
+        .join(catalog.listSeparator);
+}
+
+/**
+ * Drops the refinement levels a reward has no known chance for
+ * @param {Object<string, number|null>} chances - Drop chance per refinement
+ * @returns {Object<string, number>} - Known drop chances per refinement
+ */
+function knownChances(chances) {
+    return Object.fromEntries(
+        Object.entries(chances).filter(([, chance]) => typeof chance === 'number')
+    );
+}
+
+/**
+ * Formats a relic source, e.g. "Lua/Apollo (Disruption), Rotation B: 6.45%"
+ * @param {{mission: string, rotation: string|null, chance: number|null}} source - Where the relic drops
+ * @param {string} [locale] - Locale of the rotation label and chance
+ * @returns {string} - Formatted source
+ */
+export function formatSource({ mission, rotation, chance }, locale = DEFAULT_LOCALE) {
+    let text = mission;
+    if (rotation) {
+        text += `, ${translate(getCatalog(locale).rotation, { rotation })}`;
+    }
+    if (typeof chance === 'number') {
+        text += `: ${formatPercent(chance, locale)}`;
+    }
+    return text;
+}
+
+/**
+ * Generates the markdown section listing what changed since the previous run
+ * @param {Object} changelog - Changelog returned by diffData
+ * @param {string} [locale] - Locale the section is written in
+ * @returns {string} - Generated markdown section
+ */
+export function generateChangelogMarkdown(changelog, locale = DEFAULT_LOCALE) {
+    const catalog = getCatalog(locale);
+    let markdown = `# ${catalog.changes}\n\n`;
+
+    if (changelog.previousGeneratedAt) {
+        markdown += `${translate(catalog.comparedWith, { date: formatDate(new Date(changelog.previousGeneratedAt), locale) })}\n\n`;
+    }
+
+    if (!hasChanges(changelog)) {
+        return markdown + `${catalog.noChanges}\n\n`;
+    }
+
+    const subsections = [
+        ['addedPrimes', changelog.primes.added, prime => prime],
+        ['removedPrimes', changelog.primes.removed, prime => prime],
+        ['addedParts', changelog.parts.added, ({ prime, part, relic }) => `${prime}: ${part} -> ${relic}`],
+        ['removedParts', changelog.parts.removed, ({ prime, part, relic }) => `${prime}: ${part} -> ${relic}`],
+        ['addedRelics', changelog.relics.added, relic => relic],
+        ['removedRelics', changelog.relics.removed, relic => relic],
+        ['changedChances', changelog.chances, ({ relic, part, refinement, from, to }) =>
+            `${relic}: ${part} [${catalog.refinements[refinement] || refinement}: ${formatPercent(from, locale)} -> ${formatPercent(to, locale)}]`]
+    ];
+
+    subsections.forEach(([key, entries, format]) => {
+        if (entries.length === 0) return;
+
+        markdown += `## ${catalog.changelog[key]}\n\n`;
+        entries.forEach(entry => {
+            markdown += `- ${format(entry)}\n`;
+        });
+        markdown += '\n';
+    });
+
+    return markdown;
+}
+
+/**
+ * Generates markdown content from the extracted data
+ * @param {Object} primes - Classified prime sets from extractPrimes
+ * @param {Object} relicData - Relic reward data
+ * @param {Object} relicSources - Mission, rotation and chance of every source keyed by relic name
+ * @param {Object|null} changelog - Changes since the previous run, or null when there is nothing to compare with
+ * @param {string} [locale] - Locale the headings, labels, dates and numbers are written in
+ * @returns {string} - Generated markdown content
+ */
+export function generateMarkdown(primes, relicData, relicSources, changelog, locale = DEFAULT_LOCALE) {
+    const catalog = getCatalog(locale);
+
+    let markdown = `# ${translate(catalog.generatedOn, { date: formatDate(new Date(), locale) })}\n\n`;
+
+    if (changelog) {
+        markdown += generateChangelogMarkdown(changelog, locale);
+    }
+
+    markdown += `# ${catalog.primes}\n\n`;
+
+    // One section per subtype, primes sorted alphabetically within it
+    Object.keys(SUBTYPE_TITLES).forEach(subtype => {
+        const sortedPrimes = Object.keys(primes).filter(prime => primes[prime].subtype === subtype).sort();
+        if (sortedPrimes.length === 0) {
+            return;
+        }
+
+        markdown += `## ${catalog.subtypes[subtype]}\n\n`;
+        sortedPrimes.forEach(prime => {
+            markdown += `- ${prime}\n`;
+            const sortedItems = [...primes[prime].parts].sort(compareRarity);
+            sortedItems.forEach(({ item, rarity, chances, source }) => {
+                markdown += `  - ${item} (${catalog.rarities[rarity] || rarity}) -> ${source} [${formatChances(chances, locale)}]\n`;
+            });
+        });
+        markdown += '\n';
+    });
+
+    markdown += `# ${catalog.relics}\n\n`;
+
+    for (const relic in relicData) {
+        markdown += `## ${relic}\n\n`;
+        relicData[relic].forEach(({ item, rarity, chances }) => {
+            markdown += `- ${item} (${catalog.rarities[rarity] || rarity}) [${formatChances(chances, locale)}]\n`;
+        });
+        markdown += `\n**${catalog.sources}**:\n\n`;
+        (relicSources[relic] || []).forEach(source => {
+            markdown += `- ${formatSource(source, locale)}\n`;
+        });
+        markdown += '\n';
+    }
+
+    return markdown;
+}
+
+/**
+ * Generates the versioned JSON data document from the extracted data
+ * @param {Object} primes - Classified prime sets from extractPrimes
+ * @param {Object} relicData - Relic reward data
+ * @param {Object} relicSources - Mission, rotation and chance of every source keyed by relic name
+ * @param {string} url - The drop table URL or local file the data was extracted from
+ * @returns {Object} - Data document as described by currentPrimes.schema.json
+ */
+export function generateData(primes, relicData, relicSources, url) {
+    const data = {
+        $schema: DATA_SCHEMA_URL,
+        schemaVersion: DATA_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        source: url,
+        refinements: REFINEMENTS,
+        primes: {},
+        relics: {}
+    };
+
+    Object.keys(primes).sort().forEach(prime => {
+        const { name, category, subtype, parts } = primes[prime];
+        data.primes[prime] = {
+            name,
+            category,
+            subtype,
+            parts: [...parts].sort(compareRarity).map(({ item, component, rarity, chances, source }) => ({
+                part: item,
+                component,
+                rarity,
+                relic: source,
+                chances: knownChances(chances)
+            }))
+        };
+    });
+
+    for (const relic in relicData) {
+        data.relics[relic] = {
+            tier: relic.split(' ')[0],
+            rewards: relicData[relic].map(({ item, rarity, chances }) => ({
+                part: item,
+                rarity,
+                chances: knownChances(chances)
+            })),
+            sources: relicSources[relic] || []
+        };
+    }
+
+    return data;
+}
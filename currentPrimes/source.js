@@ -0,0 +1,149 @@
+import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * How long to wait for the drop table download before falling back to the cache
+ */
+const FETCH_TIMEOUT_MS = 60000;
+
+/**
+ * File extensions recognised as saved drop table snapshots
+ */
+const SNAPSHOT_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * Names of the cached drop table and its HTTP metadata inside the cache directory
+ */
+const CACHE_HTML_FILE = 'droptable.html';
+const CACHE_META_FILE = 'droptable.json';
+
+/**
+ * Picks the most recently modified HTML snapshot from a directory
+ * @param {string} directory - Directory holding saved drop table pages
+ * @returns {string} - Path of the newest snapshot
+ */
+function findLatestSnapshot(directory) {
+    const snapshots = fs.readdirSync(directory)
+        .filter(file => SNAPSHOT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .map(file => path.join(directory, file))
+        .map(file => ({ file, modified: fs.statSync(file).mtimeMs }))
+        .sort((a, b) => b.modified - a.modified || b.file.localeCompare(a.file));
+
+    if (snapshots.length === 0) {
+        throw new Error(`No HTML snapshots found in ${directory}`);
+    }
+
+    return snapshots[0].file;
+}
+
+/**
+ * Reads drop table HTML from a local file or the newest snapshot in a directory
+ * @param {string} input - Path to an HTML file or a directory of saved snapshots
+ * @param {Function} log - Receives progress messages
+ * @returns {string} - HTML content
+ */
+function readLocalHTML(input, log) {
+    const inputPath = path.resolve(input);
+    const file = fs.statSync(inputPath).isDirectory() ? findLatestSnapshot(inputPath) : inputPath;
+
+    log(`Reading drop table from ${file}`);
+    return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Reads the cached copy of a URL
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - The URL the copy was fetched from
+ * @returns {{html: string, meta: Object}|null} - Cached HTML and its HTTP metadata, or null when there is no usable copy
+ */
+function readCache(cacheDir, url) {
+    try {
+        const meta = JSON.parse(fs.readFileSync(path.join(cacheDir, CACHE_META_FILE), 'utf8'));
+        if (meta.url !== url) return null;
+
+        const html = fs.readFileSync(path.join(cacheDir, CACHE_HTML_FILE), 'utf8');
+        return { html, meta };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Stores a freshly downloaded page along with the validators needed for conditional requests
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - The URL the page was fetched from
+ * @param {string} html - HTML content
+ * @param {Response} response - The HTTP response
+ */
+function writeCache(cacheDir, url, html, response) {
+    const meta = {
+        url,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        fetchedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, CACHE_HTML_FILE), html);
+    fs.writeFileSync(path.join(cacheDir, CACHE_META_FILE), JSON.stringify(meta, null, 2) + '\n');
+}
+
+/**
+ * Downloads the drop table, revalidating and falling back to the on-disk cache when one is given
+ * @param {string} url - The URL to fetch HTML from
+ * @param {string|null} cacheDir - Cache directory, or null to always download
+ * @param {Function} log - Receives progress messages
+ * @returns {Promise<string>} - HTML content
+ */
+async function fetchHTML(url, cacheDir, log) {
+    const cached = cacheDir ? readCache(cacheDir, url) : null;
+    const headers = {};
+
+    if (cached && cached.meta.etag) {
+        headers['If-None-Match'] = cached.meta.etag;
+    }
+    if (cached && cached.meta.lastModified) {
+        headers['If-Modified-Since'] = cached.meta.lastModified;
+    }
+
+    try {
+        const response = await fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+        if (response.status === 304 && cached) {
+            log(`Drop table not modified since ${cached.meta.fetchedAt}, using cached copy`);
+            return cached.html;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+
+        const html = await response.text();
+        if (cacheDir) {
+            writeCache(cacheDir, url, html, response);
+        }
+        return html;
+    } catch (error) {
+        if (!cached) throw error;
+
+        console.warn(`Fetching the drop table failed (${error.message}), using cached copy from ${cached.meta.fetchedAt}`);
+        return cached.html;
+    }
+}
+
+/**
+ * Loads the drop table HTML from a local file or snapshot directory, or from the network
+ * @param {Object} source - Where to read the drop table from
+ * @param {string} source.url - The drop table URL
+ * @param {string} [source.input] - Local HTML file or directory of snapshots, takes precedence over the URL
+ * @param {string|null} [source.cacheDir] - Cache directory for network fetches, or null to disable caching
+ * @param {Function} [source.log] - Receives progress messages, e.g. console.log; nothing is logged by default
+ * @returns {Promise<string>} - HTML content
+ */
+export async function loadHTML({ url, input, cacheDir = null, log = () => {} }) {
+    if (input) {
+        return readLocalHTML(input, log);
+    }
+    return fetchHTML(url, cacheDir, log);
+}
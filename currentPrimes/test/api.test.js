@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseDropTable, loadDropTable, diffData, hasChanges } from '../index.js';
+
+const fixture = name => new URL(`./fixtures/${name}`, import.meta.url);
+const table = parseDropTable(fs.readFileSync(fixture('droptable.html'), 'utf8'), 'droptable.html');
+
+test('queries relics by name', () => {
+    const relic = table.relic('Neo N9 Relic');
+
+    assert.equal(relic.tier, 'Neo');
+    assert.equal(relic.rewards.length, 6);
+    assert.deepEqual(table.sources('Neo N9 Relic'), relic.sources);
+    assert.equal(table.relic('Lith Z9 Relic'), null);
+    assert.deepEqual(table.sources('Lith Z9 Relic'), []);
+});
+
+test('queries prime sets and parts', () => {
+    assert.equal(table.primes().length, 9);
+    assert.equal(table.prime('Carrier Prime').subtype, 'sentinel');
+    assert.deepEqual(table.parts('Nidus Prime Blueprint'), [{
+        prime: 'Nidus Prime',
+        part: 'Nidus Prime Blueprint',
+        component: 'Blueprint',
+        rarity: 'Rare',
+        relic: 'Neo N9 Relic',
+        chances: { Intact: 2, Exceptional: 4, Flawless: 6, Radiant: 10 }
+    }]);
+});
+
+test('builds the data document and markdown', () => {
+    const data = table.toJSON();
+
+    assert.equal(data.schemaVersion, 1);
+    assert.equal(data.source, 'droptable.html');
+    assert.deepEqual(Object.keys(data.relics), table.relics().map(({ name }) => name));
+    assert.match(table.toMarkdown(), /## Companions\n\n- Kavasa Prime Kubrow Collar\n/);
+});
+
+test('writes the markdown in another locale', () => {
+    const markdown = table.toMarkdown(null, 'fr');
+
+    assert.match(markdown, /^# Généré le \d+ \S+ \d{4}\n/);
+    assert.match(markdown, /## Compagnons\n\n- Kavasa Prime Kubrow Collar\n/);
+    assert.match(markdown, /- Nidus Prime Blueprint \(Rare\) -> Neo N9 Relic \[Intacte: 2,00\s%; Exceptionnelle: 4,00\s%; Impeccable: 6,00\s%; Éclatante: 10,00\s%\]/);
+    assert.throws(() => table.toMarkdown(null, 'xx'), /Unknown locale "xx"/);
+});
+
+test('passes validation apart from the missing transient rewards section', () => {
+    const report = table.validate();
+
+    assert.equal(report.errors.length, 0);
+    assert.deepEqual(report.warnings.map(({ code }) => code), ['missing-section']);
+});
+
+test('reports relics with missing rewards', async () => {
+    const broken = await loadDropTable(fixture('missing-reward.html').pathname);
+    const codes = broken.validate().errors.map(({ code, subject }) => `${code} ${subject}`);
+
+    assert.deepEqual(codes, ['reward-count Neo N9 Relic', 'chance-sum Neo N9 Relic']);
+});
+
+test('diffs against a previous data document', () => {
+    const previous = structuredClone(table.toJSON());
+    delete previous.relics['Axi A16 Relic'];
+    previous.relics['Lith B1 Relic'].rewards[0].chances.Radiant = 12.5;
+
+    const changelog = diffData(previous, table.toJSON());
+
+    assert.ok(hasChanges(changelog));
+    assert.deepEqual(changelog.relics.added, ['Axi A16 Relic']);
+    assert.deepEqual(changelog.chances, [
+        { relic: 'Lith B1 Relic', part: 'Braton Prime Stock', refinement: 'Radiant', from: 12.5, to: 16.67 }
+    ]);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffData, hasChanges, generateChangelogMarkdown } from '../index.js';
+
+const chances = (intact, radiant) => ({ Intact: intact, Exceptional: intact, Flawless: radiant, Radiant: radiant });
+
+const document = (generatedAt, primes, relics) => ({
+    generatedAt,
+    primes: Object.fromEntries(Object.entries(primes).map(([name, parts]) => [name, {
+        name,
+        parts: parts.map(([part, relic]) => ({ part, relic }))
+    }])),
+    relics: Object.fromEntries(Object.entries(relics).map(([name, rewards]) => [name, {
+        rewards: rewards.map(([part, partChances]) => ({ part, chances: partChances }))
+    }]))
+});
+
+const previous = document('2026-10-01T00:05:00.000Z', {
+    'Nidus Prime': [['Nidus Prime Blueprint', 'Neo N9 Relic'], ['Nidus Prime Chassis Blueprint', 'Lith B1 Relic']],
+    'Braton Prime': [['Braton Prime Stock', 'Lith B1 Relic']]
+}, {
+    'Lith B1 Relic': [['Nidus Prime Chassis Blueprint', chances(25.33, 16.67)], ['Braton Prime Stock', chances(11, 12.5)]],
+    'Neo N9 Relic': [['Nidus Prime Blueprint', chances(2, 10)]]
+});
+
+const current = document('2026-10-19T00:05:00.000Z', {
+    'Nidus Prime': [['Nidus Prime Blueprint', 'Neo N9 Relic'], ['Nidus Prime Chassis Blueprint', 'Axi A16 Relic']],
+    'Fang Prime': [['Fang Prime Handle', 'Axi A16 Relic']]
+}, {
+    'Lith B1 Relic': [['Nidus Prime Chassis Blueprint', chances(25.333, 16.67)], ['Braton Prime Stock', chances(11, 16.67)]],
+    'Axi A16 Relic': [['Nidus Prime Chassis Blueprint', chances(2, 10)], ['Fang Prime Handle', chances(11, 20)]]
+});
+
+test('lists the added prime sets, parts and relics', () => {
+    const changelog = diffData(previous, current);
+
+    assert.equal(changelog.previousGeneratedAt, '2026-10-01T00:05:00.000Z');
+    assert.deepEqual(changelog.primes.added, ['Fang Prime']);
+    assert.deepEqual(changelog.parts.added, [
+        { prime: 'Nidus Prime', part: 'Nidus Prime Chassis Blueprint', relic: 'Axi A16 Relic' },
+        { prime: 'Fang Prime', part: 'Fang Prime Handle', relic: 'Axi A16 Relic' }
+    ]);
+    assert.deepEqual(changelog.relics.added, ['Axi A16 Relic']);
+});
+
+test('lists the removed prime sets, parts and relics', () => {
+    const changelog = diffData(previous, current);
+
+    assert.deepEqual(changelog.primes.removed, ['Braton Prime']);
+    assert.deepEqual(changelog.parts.removed, [
+        { prime: 'Nidus Prime', part: 'Nidus Prime Chassis Blueprint', relic: 'Lith B1 Relic' },
+        { prime: 'Braton Prime', part: 'Braton Prime Stock', relic: 'Lith B1 Relic' }
+    ]);
+    assert.deepEqual(changelog.relics.removed, ['Neo N9 Relic']);
+});
+
+test('lists changed chances of relics in both runs, ignoring rounding', () => {
+    assert.deepEqual(diffData(previous, current).chances, [
+        { relic: 'Lith B1 Relic', part: 'Braton Prime Stock', refinement: 'Flawless', from: 12.5, to: 16.67 },
+        { relic: 'Lith B1 Relic', part: 'Braton Prime Stock', refinement: 'Radiant', from: 12.5, to: 16.67 }
+    ]);
+});
+
+test('finds no changes between identical runs', () => {
+    const changelog = diffData(current, current);
+
+    assert.equal(hasChanges(changelog), false);
+    assert.equal(generateChangelogMarkdown(changelog), [
+        '# Changes',
+        '',
+        'Compared with data generated on October 19, 2026.',
+        '',
+        'No changes.',
+        '',
+        ''
+    ].join('\n'));
+});
+
+test('writes the changelog as a markdown section', () => {
+    assert.equal(generateChangelogMarkdown(diffData(previous, current)), [
+        '# Changes',
+        '',
+        'Compared with data generated on October 1, 2026.',
+        '',
+        '## Added primes',
+        '',
+        '- Fang Prime',
+        '',
+        '## Removed primes',
+        '',
+        '- Braton Prime',
+        '',
+        '## Added parts',
+        '',
+        '- Nidus Prime: Nidus Prime Chassis Blueprint -> Axi A16 Relic',
+        '- Fang Prime: Fang Prime Handle -> Axi A16 Relic',
+        '',
+        '## Removed parts',
+        '',
+        '- Nidus Prime: Nidus Prime Chassis Blueprint -> Lith B1 Relic',
+        '- Braton Prime: Braton Prime Stock -> Lith B1 Relic',
+        '',
+        '## Added relics',
+        '',
+        '- Axi A16 Relic',
+        '',
+        '## Removed relics',
+        '',
+        '- Neo N9 Relic',
+        '',
+        '## Changed chances',
+        '',
+        '- Lith B1 Relic: Braton Prime Stock [Flawless: 12.50% -> 16.67%]',
+        '- Lith B1 Relic: Braton Prime Stock [Radiant: 12.50% -> 16.67%]',
+        '',
+        ''
+    ].join('\n'));
+});
+
+test('writes the changelog section in the locale', () => {
+    const markdown = generateChangelogMarkdown(diffData(previous, current), 'fr');
+
+    assert.match(markdown, /^# Changements\n\nComparé aux données générées le 1 octobre 2026\.\n\n/);
+    assert.match(markdown, /\n- Lith B1 Relic: Braton Prime Stock \[Éclatante: 12,50\u00a0% -> 16,67\u00a0%\]\n/);
+});
+
+test('leaves out the comparison date when the previous run has none', () => {
+    const { generatedAt, ...undated } = previous;
+
+    assert.match(generateChangelogMarkdown(diffData(undated, current)), /^# Changes\n\n## Added primes\n/);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitItemName, classifySet } from '../classification.js';
+
+test('splits set names from part names', () => {
+    assert.deepEqual(splitItemName('Kavasa Prime Band'), { set: 'Kavasa Prime Kubrow Collar', component: 'Band' });
+    assert.deepEqual(splitItemName('Kavasa Prime Buckle'), { set: 'Kavasa Prime Kubrow Collar', component: 'Buckle' });
+    assert.deepEqual(splitItemName('Kavasa Prime Kubrow Collar Blueprint'), { set: 'Kavasa Prime Kubrow Collar', component: 'Blueprint' });
+    assert.deepEqual(splitItemName('Nidus Prime Neuroptics Blueprint'), { set: 'Nidus Prime', component: 'Neuroptics Blueprint' });
+    assert.deepEqual(splitItemName('Silva & Aegis Prime Guard'), { set: 'Silva & Aegis Prime', component: 'Guard' });
+    assert.deepEqual(splitItemName('Prime Laser Rifle Blueprint'), { set: 'Prime Laser Rifle', component: 'Blueprint' });
+});
+
+test('falls back to the name up to "Prime" for unknown components', () => {
+    assert.deepEqual(splitItemName('Ash Prime Tail'), { set: 'Ash Prime', component: 'Tail' });
+});
+
+test('classifies sets by their components', () => {
+    const cases = [
+        ['Nidus Prime', ['Blueprint', 'Systems Blueprint'], 'warframe', 'warframe'],
+        ['Braton Prime', ['Stock', 'Receiver'], 'weapon', 'primary'],
+        ['Paris Prime', ['Upper Limb', 'String'], 'weapon', 'primary'],
+        ['Akstiletto Prime', ['Link', 'Barrel'], 'weapon', 'secondary'],
+        ['Lex Prime', ['Barrel', 'Receiver'], 'weapon', 'secondary'],
+        ['Fang Prime', ['Blade', 'Handle'], 'weapon', 'melee'],
+        ['Carrier Prime', ['Carapace', 'Cerebrum'], 'companion', 'sentinel'],
+        ['Sweeper Prime', ['Barrel', 'Receiver'], 'companion', 'sentinel-weapon'],
+        ['Kavasa Prime Kubrow Collar', ['Band', 'Buckle'], 'companion', 'companion'],
+        ['Odonata Prime', ['Systems Blueprint'], 'archwing', 'archwing'],
+        ['Mystery Prime', ['Blueprint'], 'other', 'other']
+    ];
+
+    cases.forEach(([set, components, category, subtype]) => {
+        assert.deepEqual(classifySet(set, components), { category, subtype }, set);
+    });
+});
+
+test('classifies known exceptions from the override table', () => {
+    const cases = [
+        ['Ballistica Prime', ['Upper Limb', 'Lower Limb', 'String', 'Receiver'], 'weapon', 'secondary'],
+        ['Vasto Prime', ['Barrel'], 'weapon', 'secondary'],
+        ['Velox Prime', ['Blueprint', 'Barrel', 'Receiver'], 'weapon', 'secondary'],
+        ['Akbronco Prime', ['Blueprint'], 'weapon', 'secondary'],
+        ['Odonata Prime', ['Blueprint'], 'archwing', 'archwing']
+    ];
+
+    cases.forEach(([set, components, category, subtype]) => {
+        assert.deepEqual(classifySet(set, components), { category, subtype }, set);
+    });
+});
+
+test('leaves sets out of a subtype when the parts seen can\'t tell', () => {
+    // A rifle whose Stock is vaulted has the Barrel and Receiver of a pistol
+    const cases = [
+        ['Soma Prime', ['Blueprint', 'Barrel', 'Receiver'], 'other', 'other'],
+        ['Soma Prime', ['Blueprint', 'Barrel', 'Receiver', 'Stock'], 'weapon', 'primary']
+    ];
+
+    cases.forEach(([set, components, category, subtype]) => {
+        assert.deepEqual(classifySet(set, components), { category, subtype }, set);
+    });
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadDropTable, load } = require('currentprimes');
+
+test('loads the library from CommonJS', async t => {
+    const log = t.mock.method(console, 'log', () => {});
+    const table = await loadDropTable(path.join(__dirname, 'fixtures', 'droptable.html'));
+
+    assert.equal(table.relics().length, 4);
+    assert.equal(log.mock.callCount(), 0);
+    assert.equal(typeof (await load()).extractPrimes, 'function');
+});
+
+test('logs the progress only when asked to', async () => {
+    const messages = [];
+    const input = path.join(__dirname, 'fixtures', 'droptable.html');
+
+    await loadDropTable({ input, log: message => messages.push(message) });
+
+    assert.deepEqual(messages, [`Reading drop table from ${input}`]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+import { extractRelicData, extractPrimes, compareRelics } from '../extraction.js';
+
+const html = fs.readFileSync(new URL('./fixtures/droptable.html', import.meta.url), 'utf8');
+const document = new JSDOM(html).window.document;
+const { relicData, relicSources } = extractRelicData(document);
+
+test('finds every relic that drops from a mission, Lith to Axi', () => {
+    assert.deepEqual(Object.keys(relicData), ['Lith B1 Relic', 'Meso N6 Relic', 'Neo N9 Relic', 'Axi A16 Relic']);
+});
+
+test('skips Requiem relics', () => {
+    assert.equal(relicData['Requiem I Relic'], undefined);
+});
+
+test('reads the rarity and the chance at every refinement of each reward', () => {
+    const stock = relicData['Lith B1 Relic'].find(({ item }) => item === 'Braton Prime Stock');
+
+    assert.equal(stock.rarity, 'Common');
+    assert.deepEqual(stock.chances, { Intact: 25.33, Exceptional: 23.33, Flawless: 20, Radiant: 16.67 });
+    assert.equal(relicData['Lith B1 Relic'].length, 6);
+});
+
+test('records the mission, rotation and chance of every source', () => {
+    assert.deepEqual(relicSources['Lith B1 Relic'], [
+        { mission: 'Void/Hepit (Capture)', rotation: null, chance: 14.29 },
+        { mission: 'Level 5 - 15 Cetus Bounty (Stage 1)', rotation: 'A', chance: 20 },
+        { mission: 'Level 5 - 15 Cetus Bounty (Final Stage)', rotation: 'A', chance: 25 }
+    ]);
+    assert.deepEqual(relicSources['Axi A16 Relic'], [
+        { mission: 'Lua/Apollo (Disruption)', rotation: 'B', chance: 6.45 },
+        { mission: 'Lua/Apollo (Disruption)', rotation: 'C', chance: 5.56 },
+        { mission: 'Orokin Derelict Survival', rotation: 'C', chance: 4.5 }
+    ]);
+});
+
+test('records bounty sources with their rotation and stage', () => {
+    assert.deepEqual(relicSources['Neo N9 Relic'].slice(-1), [
+        { mission: 'Level 5 - 15 Cetus Bounty (Stage 2, Stage 3 of 4, and Stage 3 of 5)', rotation: 'B', chance: 12.5 }
+    ]);
+});
+
+test('groups prime parts into classified sets', () => {
+    const primes = extractPrimes(relicData);
+
+    assert.deepEqual(Object.keys(primes).sort(), [
+        'Akstiletto Prime', 'Braton Prime', 'Carrier Prime', 'Fang Prime',
+        'Kavasa Prime Kubrow Collar', 'Nidus Prime', 'Odonata Prime', 'Paris Prime', 'Velox Prime'
+    ]);
+    assert.equal(primes['Kavasa Prime Kubrow Collar'].subtype, 'companion');
+    assert.deepEqual(Object.keys(primes).filter(set => primes[set].subtype === 'other'), []);
+    assert.deepEqual(
+        primes['Nidus Prime'].parts.map(({ component, source }) => [component, source]).sort(),
+        [['Blueprint', 'Neo N9 Relic'], ['Chassis Blueprint', 'Meso N6 Relic'], ['Neuroptics Blueprint', 'Lith B1 Relic'], ['Systems Blueprint', 'Neo N9 Relic']]
+    );
+});
+
+test('orders relics by tier, then by name', () => {
+    assert.deepEqual(
+        ['Axi A16 Relic', 'Lith B1 Relic', 'Neo N9 Relic', 'Lith A2 Relic'].sort(compareRelics),
+        ['Lith A2 Relic', 'Lith B1 Relic', 'Neo N9 Relic', 'Axi A16 Relic']
+    );
+});
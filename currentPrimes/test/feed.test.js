@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rotationChanges, generateFeed } from '../index.js';
+
+const snapshot = (date, primes, relics) => ({
+    snapshotVersion: 1,
+    date,
+    generatedAt: `${date}T00:05:00.000Z`,
+    primes: Object.fromEntries(primes.map(name => [name, []])),
+    relics
+});
+
+const snapshots = [
+    snapshot('2026-10-17', ['Nidus Prime', 'Braton Prime'], ['Lith B1 Relic', 'Axi A16 Relic']),
+    snapshot('2026-10-18', ['Nidus Prime', 'Braton Prime'], ['Lith B1 Relic', 'Axi A16 Relic']),
+    snapshot('2026-10-19', ['Nidus Prime', 'Fang Prime'], ['Lith B1 Relic', 'Neo N9 Relic'])
+];
+
+test('lists the runs that changed the rotation, newest first', () => {
+    const changes = rotationChanges(snapshots);
+
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].date, '2026-10-19');
+    assert.deepEqual(changes[0].primes, { added: ['Fang Prime'], removed: ['Braton Prime'] });
+    assert.deepEqual(changes[0].relics, { added: ['Neo N9 Relic'], removed: ['Axi A16 Relic'] });
+});
+
+test('writes an Atom entry per change with ids that survive later runs', () => {
+    const feed = generateFeed(snapshots, { baseUrl: 'https://example.org/nexus' });
+    const later = generateFeed([...snapshots, snapshot('2026-10-20', ['Nidus Prime'], ['Lith B1 Relic'])]);
+    const ids = xml => [...xml.matchAll(/<id>(.+)<\/id>/g)].map(([, id]) => id);
+
+    assert.match(feed, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom"/);
+    assert.match(feed, /<link rel="self" type="application\/atom\+xml" href="https:\/\/example\.org\/nexus\/feed\.xml"\/>/);
+    assert.match(feed, /<updated>2026-10-19T00:05:00\.000Z<\/updated>/);
+    assert.match(feed, /&lt;h2&gt;Added primes&lt;\/h2&gt;&lt;ul&gt;&lt;li&gt;Fang Prime&lt;\/li&gt;/);
+    assert.equal(ids(feed).length, 2);
+    assert.match(ids(feed)[1], /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.deepEqual(ids(later).slice(2), ids(feed).slice(1));
+    assert.equal(ids(later)[0], ids(feed)[0]);
+});
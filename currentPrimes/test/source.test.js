@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { loadHTML } from '../index.js';
+
+const PAGE = '<html><body>drop table</body></html>';
+const ETAG = '"v1"';
+const LAST_MODIFIED = 'Mon, 19 Oct 2026 00:00:00 GMT';
+
+// Serves the page with its validators, and answers conditional requests with 304 while notModified is set
+async function startServer(t) {
+    const server = http.createServer((request, response) => {
+        server.requests.push(request.headers);
+        if (server.notModified && request.headers['if-none-match'] === ETAG) {
+            response.writeHead(304).end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'text/html', 'ETag': ETAG, 'Last-Modified': LAST_MODIFIED }).end(server.page);
+    });
+    server.requests = [];
+    server.page = PAGE;
+    server.notModified = true;
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    return { server, url: `http://127.0.0.1:${server.address().port}/droptable.html` };
+}
+
+const tempDir = t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'currentprimes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('caches the page with its validators', async t => {
+    const { url } = await startServer(t);
+    const cacheDir = tempDir(t);
+
+    assert.equal(await loadHTML({ url, cacheDir }), PAGE);
+
+    const meta = JSON.parse(fs.readFileSync(path.join(cacheDir, 'droptable.json'), 'utf8'));
+    assert.equal(meta.url, url);
+    assert.equal(meta.etag, ETAG);
+    assert.equal(meta.lastModified, LAST_MODIFIED);
+    assert.equal(fs.readFileSync(path.join(cacheDir, 'droptable.html'), 'utf8'), PAGE);
+});
+
+test('revalidates the cached copy and reuses it on 304', async t => {
+    const { server, url } = await startServer(t);
+    const cacheDir = tempDir(t);
+    const messages = [];
+
+    await loadHTML({ url, cacheDir });
+    fs.writeFileSync(path.join(cacheDir, 'droptable.html'), 'cached');
+
+    assert.equal(await loadHTML({ url, cacheDir, log: message => messages.push(message) }), 'cached');
+    assert.equal(server.requests[1]['if-none-match'], ETAG);
+    assert.equal(server.requests[1]['if-modified-since'], LAST_MODIFIED);
+    assert.match(messages[0], /^Drop table not modified since /);
+});
+
+test('replaces the cached copy when the page changed', async t => {
+    const { server, url } = await startServer(t);
+    const cacheDir = tempDir(t);
+
+    await loadHTML({ url, cacheDir });
+    server.notModified = false;
+    server.page = '<html><body>new drop table</body></html>';
+
+    assert.equal(await loadHTML({ url, cacheDir }), server.page);
+    assert.equal(fs.readFileSync(path.join(cacheDir, 'droptable.html'), 'utf8'), server.page);
+});
+
+test('falls back to the cached copy when the download fails', async t => {
+    const { server, url } = await startServer(t);
+    const cacheDir = tempDir(t);
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    await loadHTML({ url, cacheDir });
+    server.close();
+    await once(server, 'close');
+
+    assert.equal(await loadHTML({ url, cacheDir }), PAGE);
+    assert.match(warn.mock.calls[0].arguments[0], /^Fetching the drop table failed \(.+\), using cached copy from /);
+    await assert.rejects(loadHTML({ url }));
+});
+
+test('ignores a cached copy of another URL', async t => {
+    const { server, url } = await startServer(t);
+    const cacheDir = tempDir(t);
+
+    await loadHTML({ url, cacheDir });
+    await loadHTML({ url: `${url}?other`, cacheDir });
+
+    assert.equal(server.requests[1]['if-none-match'], undefined);
+});
+
+test('only logs when given a log function', async t => {
+    const log = t.mock.method(console, 'log', () => {});
+    const input = fileURLToPath(new URL('./fixtures/droptable.html', import.meta.url));
+    const messages = [];
+
+    await loadHTML({ input });
+    await loadHTML({ input, log: message => messages.push(message) });
+
+    assert.equal(log.mock.callCount(), 0);
+    assert.deepEqual(messages, [`Reading drop table from ${input}`]);
+});
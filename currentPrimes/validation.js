@@ -0,0 +1,215 @@
+import { REFINEMENTS, RELIC_TIERS, MISSION_SECTION_IDS } from './constants.js';
+
+/**
+ * Issue severities; errors fail the run, warnings are only reported
+ */
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+/**
+ * Relic tiers that drop from missions but never hold prime parts
+ */
+const IGNORED_RELIC_TIERS = ['Requiem'];
+
+/**
+ * Section every drop table has to contain for relic sources to be found
+ */
+const REQUIRED_SECTION_ID = 'missionRewards';
+
+/**
+ * Every relic holds this many rewards at each refinement
+ */
+const REWARDS_PER_RELIC = 6;
+
+/**
+ * Number of rewards of each rarity in a relic
+ */
+const EXPECTED_RARITY_SPLIT = { Common: 3, Uncommon: 2, Rare: 1 };
+
+/**
+ * Drop chance of each rarity at each refinement, in percent
+ */
+const EXPECTED_CHANCES = {
+    Intact: { Common: 25.33, Uncommon: 11, Rare: 2 },
+    Exceptional: { Common: 23.33, Uncommon: 13, Rare: 4 },
+    Flawless: { Common: 20, Uncommon: 17, Rare: 6 },
+    Radiant: { Common: 16.67, Uncommon: 20, Rare: 10 }
+};
+
+/**
+ * Rounding slack allowed when comparing chances, in percentage points
+ */
+const CHANCE_TOLERANCE = 0.05;
+
+/**
+ * Thrown when the extracted data fails validation, before any output is written
+ */
+export class ValidationError extends Error {
+    constructor(report) {
+        super(`Validation failed with ${report.errors.length} error(s) and ${report.warnings.length} warning(s)`);
+        this.name = 'ValidationError';
+        this.report = report;
+    }
+}
+
+/**
+ * Collects validation issues
+ */
+class ValidationReport {
+    constructor() {
+        this.issues = [];
+    }
+
+    add(severity, code, subject, message) {
+        this.issues.push({ severity, code, subject, message });
+    }
+
+    error(code, subject, message) {
+        this.add(SEVERITY.ERROR, code, subject, message);
+    }
+
+    warning(code, subject, message) {
+        this.add(SEVERITY.WARNING, code, subject, message);
+    }
+
+    get errors() {
+        return this.issues.filter(issue => issue.severity === SEVERITY.ERROR);
+    }
+
+    get warnings() {
+        return this.issues.filter(issue => issue.severity === SEVERITY.WARNING);
+    }
+
+    toJSON() {
+        return {
+            valid: this.errors.length === 0,
+            errors: this.errors.length,
+            warnings: this.warnings.length,
+            issues: this.issues
+        };
+    }
+}
+
+/**
+ * Checks that the mission reward sections exist and that no relic of an unknown tier is skipped
+ * @param {Document} document - The DOM document
+ * @param {ValidationReport} report - Report to add issues to
+ */
+function validateDocument(document, report) {
+    for (const sectionId of MISSION_SECTION_IDS) {
+        const heading = document.getElementById(sectionId);
+        const table = heading && heading.nextElementSibling;
+        if (table && table.tagName === 'TABLE') continue;
+
+        if (sectionId === REQUIRED_SECTION_ID) {
+            report.error('missing-section', `#${sectionId}`, 'Mission reward table not found, relic sources cannot be discovered');
+        } else {
+            report.warning('missing-section', `#${sectionId}`, 'Reward table not found, relics only dropping there are missed');
+        }
+    }
+
+    const unknownTiers = new Set();
+    document.querySelectorAll('td').forEach(td => {
+        const match = td.textContent.trim().match(/^(\S+) \S+ Relic$/);
+        if (match && !RELIC_TIERS.includes(match[1]) && !IGNORED_RELIC_TIERS.includes(match[1])) {
+            unknownTiers.add(match[1]);
+        }
+    });
+    unknownTiers.forEach(tier => {
+        report.warning('unknown-tier', tier, `Relics of unknown tier "${tier}" are listed in the drop table and were skipped`);
+    });
+}
+
+/**
+ * Checks the rewards of a single relic against the fixed relic structure
+ * @param {string} relic - Relic name
+ * @param {Array<{item: string, rarity: string, chances: Object}>} rewards - Rewards of the relic
+ * @param {ValidationReport} report - Report to add issues to
+ */
+function validateRelic(relic, rewards, report) {
+    for (const refinement of REFINEMENTS) {
+        const known = rewards.filter(reward => typeof reward.chances[refinement] === 'number');
+
+        if (known.length === 0) {
+            report.error('missing-refinement', relic, `No ${refinement} rewards found`);
+            continue;
+        }
+        if (known.length !== REWARDS_PER_RELIC) {
+            report.error('reward-count', relic, `${known.length} ${refinement} rewards, expected ${REWARDS_PER_RELIC}`);
+        }
+
+        const sum = known.reduce((total, reward) => total + reward.chances[refinement], 0);
+        if (Math.abs(sum - 100) > CHANCE_TOLERANCE * REWARDS_PER_RELIC) {
+            report.error('chance-sum', relic, `${refinement} chances add up to ${sum.toFixed(2)}%, expected 100%`);
+        }
+
+        known.forEach(({ item, rarity, chances }) => {
+            const expected = (EXPECTED_CHANCES[refinement] || {})[rarity];
+            if (expected !== undefined && Math.abs(chances[refinement] - expected) > CHANCE_TOLERANCE) {
+                report.warning('unexpected-chance', relic, `${item} (${rarity}) drops at ${chances[refinement].toFixed(2)}% when ${refinement}, expected ${expected.toFixed(2)}%`);
+            }
+        });
+    }
+
+    const unknownRarity = rewards.filter(reward => !reward.rarity);
+    unknownRarity.forEach(({ item }) => {
+        report.error('unknown-rarity', relic, `Rarity of ${item} could not be determined from its Intact chance`);
+    });
+
+    if (unknownRarity.length === 0) {
+        const split = Object.fromEntries(Object.keys(EXPECTED_RARITY_SPLIT).map(rarity => [
+            rarity,
+            rewards.filter(reward => reward.rarity === rarity).length
+        ]));
+        const mismatched = Object.keys(EXPECTED_RARITY_SPLIT).some(rarity => split[rarity] !== EXPECTED_RARITY_SPLIT[rarity]);
+        if (mismatched) {
+            const found = Object.entries(split).map(([rarity, count]) => `${count} ${rarity}`).join(', ');
+            report.error('rarity-split', relic, `Found ${found}, expected 3 Common, 2 Uncommon, 1 Rare`);
+        }
+    }
+}
+
+/**
+ * Checks the scraped drop table and the extracted data against the invariants of the relic system
+ * @param {Document} document - The DOM document
+ * @param {Object} relicData - Relic reward data
+ * @param {Object} relicSources - Sources keyed by relic name
+ * @param {Object} primes - Classified prime sets from extractPrimes
+ * @returns {ValidationReport} - Report of every violation found
+ */
+export function validateExtraction(document, relicData, relicSources, primes) {
+    const report = new ValidationReport();
+
+    validateDocument(document, report);
+
+    if (Object.keys(relicData).length === 0) {
+        report.error('no-relics', 'drop table', 'No relics found in any mission reward table');
+    }
+    if (Object.keys(relicData).length > 0 && Object.keys(primes).length === 0) {
+        report.error('no-primes', 'drop table', 'Relics were found but none of them holds a prime part');
+    }
+
+    for (const relic in relicData) {
+        validateRelic(relic, relicData[relic], report);
+
+        const sources = relicSources[relic] || [];
+        if (!sources.some(source => typeof source.chance === 'number')) {
+            report.warning('source-chance', relic, 'None of the sources has a drop chance');
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Formats a report for the console, one line per issue
+ * @param {ValidationReport} report - Validation report
+ * @returns {string} - Human readable report
+ */
+export function formatReport(report) {
+    const lines = report.issues.map(({ severity, code, subject, message }) => `  [${severity}] ${code} ${subject}: ${message}`);
+    const summary = `Validation: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`;
+    return [summary, ...lines].join('\n');
+}
@@ -1,71 +1,353 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+const REFINEMENTS = ['Intact', 'Exceptional', 'Flawless', 'Radiant'];
+const RELIC_TIERS = ['Lith', 'Meso', 'Neo', 'Axi'];
+const SUPPORTED_SCHEMA_VERSION = 1;
+const MAX_SQUAD_SIZE = 4;
+
+// Changelog subsections, by their key in the markdown catalogs, mapped to the changelog group and list they fill
+const CHANGELOG_SUBSECTIONS = {
+    addedPrimes: ['primes', 'added'],
+    removedPrimes: ['primes', 'removed'],
+    addedParts: ['parts', 'added'],
+    removedParts: ['parts', 'removed'],
+    addedRelics: ['relics', 'added'],
+    removedRelics: ['relics', 'removed'],
+    changedChances: ['chances', null]
+};
+
+// Prime subtypes in page order, with their category. Headings and titles come from the locale catalogs
+const PRIME_SUBTYPES = {
+    warframe: { category: 'warframe' },
+    primary: { category: 'weapon' },
+    secondary: { category: 'weapon' },
+    melee: { category: 'weapon' },
+    sentinel: { category: 'companion' },
+    'sentinel-weapon': { category: 'companion' },
+    companion: { category: 'companion' },
+    archwing: { category: 'archwing' },
+    other: { category: 'other' }
+};
+
+const RARITIES = ['Common', 'Uncommon', 'Rare'];
+
+// A chance as written in any locale, e.g. "10.00%" or "10,00 %"
+const PERCENT_PATTERN = '(\\d+(?:[.,]\\d+)?)\\s*%';
+
+const DEFAULT_LOCALE = 'en';
+
+// Locale catalogs, one <locale>.json per language, and the helpers to fill them in
+class Locales {
+    static load(dir) {
+        return Object.fromEntries(fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))]));
+    }
+
+    static catalog(catalogs, locale) {
+        if (!catalogs[locale]) {
+            throw new Error(`Unknown locale "${locale}", expected one of ${Object.keys(catalogs).join(', ')}`);
+        }
+        return catalogs[locale];
+    }
+
+    // Fills the placeholders of a message, e.g. "Rotation {rotation}"
+    static translate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Matches a filled in message, capturing the value of each placeholder
+    static pattern(message) {
+        const texts = message.split(/\{\w+\}/).map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`^${texts.join('(.+)')}$`);
+    }
+
+    static formatPercent(chance, locale) {
+        return new Intl.NumberFormat(locale, {
+            style: 'percent',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(chance / 100);
+    }
+
+    // Formats a day, e.g. "October 19, 2026", in UTC so an ISO date stays on its day
+    static formatDate(date, locale) {
+        return new Date(date).toLocaleDateString(locale, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    // Reads a date written by formatDate in a locale, or as an ISO date, e.g. "19 octobre 2026".
+    // Returns it as an ISO timestamp, or null when the text isn't a date of that locale
+    static parseDate(text, locale) {
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+            const date = new Date(text);
+            return isNaN(date) ? null : date.toISOString();
+        }
+
+        const months = Array.from({ length: 12 }, (_, month) =>
+            new Date(Date.UTC(2000, month, 15)).toLocaleDateString(locale, { month: 'long', timeZone: 'UTC' }).toLowerCase());
+        const words = text.toLowerCase().split(/[\s,.]+/);
+        const year = words.find(word => /^\d{4}$/.test(word));
+        const day = words.find(word => /^\d{1,2}$/.test(word));
+        const month = words.findIndex(word => months.includes(word));
+
+        if (!year || !day || month === -1) return null;
+        return new Date(Date.UTC(Number(year), months.indexOf(words[month]), Number(day))).toISOString();
+    }
+
+    // Reads a number written with a decimal point or comma
+    static parseNumber(text) {
+        return parseFloat(text.replace(',', '.'));
+    }
+}
+
+// Catalogs of the markdown written by the data extractor. The converter ships its own copy so it
+// works without currentPrimes next to it; syncLocales.js writes it and the tests check it still matches
+const MARKDOWN_CATALOGS = Locales.load(path.join(__dirname, 'locales', 'markdown'));
+
+// Thrown by strict parsing, lists every problem found with its line number
+class MarkdownParseError extends Error {
+    constructor(problems) {
+        const lines = problems.map(({ line, message }) => `  line ${line}: ${message}`);
+        super(`${problems.length} problem(s) in markdown:\n${lines.join('\n')}`);
+        this.name = 'MarkdownParseError';
+        this.problems = problems;
+    }
+}
+
 class WarframeDataParser {
-    constructor() {
+    constructor({ strict = false } = {}) {
+        this.strict = strict;
+        this.problems = [];
+        this.lineNumber = 0;
+        this.lineNumbers = new WeakMap();
+        this.generatedOn = null;
         this.primes = new Map();
         this.relics = new Map();
         this.currentSection = null;
         this.currentItem = null;
+        this.currentSubtype = null;
+        this.currentList = null;
+        this.currentChanges = null;
+        this.changelog = null;
+
+        // Markdown in any known language is read, every localized term narrows down which one it is
+        this.locales = Object.keys(MARKDOWN_CATALOGS);
+        this.terms = {
+            sections: this.vocabulary(({ changes, primes, relics }) => ({ changes, primes, relics })),
+            changelog: this.vocabulary(catalog => catalog.changelog),
+            subtypes: this.vocabulary(catalog => catalog.subtypes),
+            rarities: this.vocabulary(catalog => catalog.rarities),
+            refinements: this.vocabulary(catalog => catalog.refinements),
+            sources: this.vocabulary(({ sources }) => ({ sources }))
+        };
     }
 
     parse(content) {
-        const lines = content.trim().split('\n').map(line => line.trim());
+        const lines = content.split('\n').map(line => line.trim());
 
-        lines.forEach(line => {
+        lines.forEach((line, index) => {
             if (!line) return;
+            this.lineNumber = index + 1;
 
-            this.handleSectionHeaders(line) ||
-                this.handlePrimeSection(line) ||
-                this.handleRelicSection(line);
+            try {
+                const handled = this.handleGeneratedOn(line) ||
+                    this.handleSectionHeaders(line) ||
+                    this.handleChangesSection(line) ||
+                    this.handlePrimeSection(line) ||
+                    this.handleRelicSection(line);
+
+                if (!handled) {
+                    this.report(`Unrecognized line: ${line}`);
+                }
+            } catch (error) {
+                // Malformed lines are dropped, lenient parsing warns about them
+                this.report(error.message, true);
+            }
         });
 
+        if (this.strict) {
+            this.checkReferences();
+        }
+
+        if (this.problems.length > 0) {
+            throw new MarkdownParseError(this.problems.sort((a, b) => a.line - b.line));
+        }
+
+        const locale = this.locales.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : this.locales[0];
+
+        // Dates are written for readers, so they're read back with the locale of the markdown
+        if (this.changelog && this.changelog.previousGeneratedAt) {
+            this.changelog.previousGeneratedAt = this.parseDate(this.changelog.previousGeneratedAt) || this.changelog.previousGeneratedAt;
+        }
+
         return {
+            generatedOn: this.generatedOn,
+            generatedAt: this.generatedOn && this.parseDate(this.generatedOn),
             primes: Object.fromEntries(this.primes),
-            relics: Object.fromEntries(this.relics)
+            relics: Object.fromEntries(this.relics),
+            changelog: this.changelog,
+            locale
         };
     }
 
+    // Reads a date in any of the locales the markdown may still be in, see Locales.parseDate
+    parseDate(text) {
+        return this.locales.map(locale => Locales.parseDate(text, locale)).find(Boolean) || null;
+    }
+
+    // Maps every localized spelling of a group of terms to its key and the locales spelling it that way
+    vocabulary(select) {
+        const terms = new Map();
+
+        Object.entries(MARKDOWN_CATALOGS).forEach(([locale, catalog]) => {
+            Object.entries(select(catalog)).forEach(([key, term]) => {
+                if (!terms.has(term)) terms.set(term, { key, locales: [] });
+                terms.get(term).locales.push(locale);
+            });
+        });
+
+        return terms;
+    }
+
+    // Key of a localized term, e.g. "Peu commun" -> "Uncommon", or null when no catalog has it
+    lookup(kind, term) {
+        const entry = this.terms[kind].get(term);
+        if (!entry) return null;
+
+        this.narrowLocales(entry.locales);
+        return entry.key;
+    }
+
+    // Matches a localized message, e.g. "Generated on {date}", capturing its placeholders
+    matchMessage(name, text) {
+        const matches = Object.entries(MARKDOWN_CATALOGS)
+            .map(([locale, catalog]) => [locale, text.match(Locales.pattern(catalog[name]))])
+            .filter(([, match]) => match);
+        if (matches.length === 0) return null;
+
+        this.narrowLocales(matches.map(([locale]) => locale));
+        return matches[0][1];
+    }
+
+    narrowLocales(locales) {
+        const remaining = this.locales.filter(locale => locales.includes(locale));
+        if (remaining.length > 0) {
+            this.locales = remaining;
+        }
+    }
+
+    // Strict parsing collects every problem, lenient parsing only warns about dropped lines
+    report(message, dropped = false, line = this.lineNumber) {
+        if (this.strict) {
+            this.problems.push({ line, message });
+        } else if (dropped) {
+            console.warn(`Warning: line ${line}: ${message}`);
+        }
+    }
+
+    track(entry) {
+        this.lineNumbers.set(entry, this.lineNumber);
+        return entry;
+    }
+
+    handleGeneratedOn(line) {
+        const match = line.startsWith('# ') && this.matchMessage('generatedOn', line.substring(2));
+        if (!match) return false;
+
+        this.generatedOn = match[1].trim();
+        return true;
+    }
+
     handleSectionHeaders(line) {
-        const sections = {
-            '# Primes': 'primes',
-            '# Relics': 'relics'
-        };
+        const section = line.startsWith('# ') && this.lookup('sections', line.substring(2).trim());
 
-        if (sections[line]) {
-            this.currentSection = sections[line];
+        if (section) {
+            this.currentSection = section;
             this.currentItem = null;
+
+            if (this.currentSection === 'changes') {
+                this.changelog = {
+                    previousGeneratedAt: null,
+                    primes: { added: [], removed: [] },
+                    parts: { added: [], removed: [] },
+                    relics: { added: [], removed: [] },
+                    chances: []
+                };
+            }
             return true;
         }
         return false;
     }
 
+    handleChangesSection(line) {
+        if (this.currentSection !== 'changes') return false;
+
+        const comparedMatch = this.matchMessage('comparedWith', line);
+        if (comparedMatch) {
+            this.changelog.previousGeneratedAt = comparedMatch[1];
+            return true;
+        }
+
+        if (this.matchMessage('noChanges', line)) return true;
+
+        // Handle subsection header, e.g. "## Added primes"
+        if (line.startsWith('## ')) {
+            this.currentChanges = CHANGELOG_SUBSECTIONS[this.lookup('changelog', line.substring(3).trim())] || null;
+            return this.currentChanges !== null;
+        }
+
+        if (!this.currentChanges || !line.startsWith('- ')) return false;
+
+        const [group, list] = this.currentChanges;
+        const entry = this.parseChangeInfo(group, line.substring(2).trim());
+        (list ? this.changelog[group][list] : this.changelog[group]).push(entry);
+        return true;
+    }
+
     handlePrimeSection(line) {
         if (this.currentSection !== 'primes') return false;
 
+        // Handle subtype header, e.g. "## Primary Weapons"
+        if (line.startsWith('## ')) {
+            this.currentSubtype = this.lookup('subtypes', line.substring(3).trim());
+            this.currentItem = null;
+            return this.currentSubtype !== null;
+        }
+
         // Handle main prime item line
         if (line.startsWith('- ') && !line.includes('->')) {
             const primeName = line.substring(2).trim();
             if (!primeName) return false;
-            
+
+            if (this.primes.has(primeName)) {
+                this.report(`Duplicate prime set: ${primeName}`);
+            }
+
             this.currentItem = primeName;
             this.primes.set(primeName, {
                 name: primeName,
+                ...(this.currentSubtype && {
+                    category: PRIME_SUBTYPES[this.currentSubtype].category,
+                    subtype: this.currentSubtype
+                }),
                 parts: []
             });
             return true;
         }
 
         // Handle part line
-        if (this.currentItem && (line.startsWith('  - ') || (line.startsWith('- ') && line.includes('->')))) {
-            try {
-                const partInfo = this.parsePartInfo(line);
-                this.primes.get(this.currentItem).parts.push(partInfo);
-                return true;
-            } catch (error) {
-                console.warn(`Warning: Couldn't parse part info in line: ${line}`);
-                return false;
-            }
+        if (this.currentItem && line.startsWith('- ') && line.includes('->')) {
+            const partInfo = this.parsePartInfo(line);
+            this.primes.get(this.currentItem).parts.push(this.track(partInfo));
+            return true;
         }
 
         return false;
@@ -78,54 +360,101 @@ class WarframeDataParser {
         if (line.startsWith('## ')) {
             const relicName = line.substring(3).trim();
             if (!relicName) return false;
-            
+
+            if (this.relics.has(relicName)) {
+                this.report(`Duplicate relic: ${relicName}`);
+            }
+
             this.currentItem = relicName;
-            this.relics.set(relicName, {
-                location: '',
+            this.currentList = 'rewards';
+            this.relics.set(relicName, this.track({
+                sources: [],
                 rewards: []
-            });
+            }));
             return true;
         }
 
         if (!this.currentItem) return false;
 
-        // Handle location line
+        // Handle sources header, the list that follows holds one source per line
+        const label = line.match(/^\*\*(.+)\*\*:$/);
+        if (label && this.lookup('sources', label[1])) {
+            this.currentList = 'sources';
+            return true;
+        }
+
+        // Handle legacy single-line location, e.g. "**Location**: Void/Ukko (Capture), Lua/Apollo (Disruption)"
         if (line.startsWith('**Location**:')) {
             const location = line.split(':').slice(1).join(':').trim();
-            this.relics.get(this.currentItem).location = location;
+            this.relics.get(this.currentItem).sources = location
+                .split(/,\s*(?![^()]*\))/)
+                .filter(Boolean)
+                .map(mission => ({ mission: mission.trim(), rotation: null, chance: null }));
+            return true;
+        }
+
+        // Handle source line
+        if (this.currentList === 'sources' && line.startsWith('- ')) {
+            const source = this.parseSourceInfo(line);
+            this.relics.get(this.currentItem).sources.push(source);
             return true;
         }
 
         // Handle reward line
         if (line.startsWith('- ')) {
-            try {
-                const reward = this.parseRewardInfo(line);
-                this.relics.get(this.currentItem).rewards.push(reward);
-                return true;
-            } catch (error) {
-                console.warn(`Warning: Couldn't parse reward in line: ${line}`);
-                return false;
-            }
+            const reward = this.parseRewardInfo(line);
+            this.relics.get(this.currentItem).rewards.push(this.track(reward));
+            return true;
         }
 
         return false;
     }
 
+    // Every prime part has to drop from a listed relic, and every prime reward of a relic has to be listed under its set
+    checkReferences() {
+        const listedParts = new Set();
+
+        this.primes.forEach(({ name, parts }) => {
+            parts.forEach(part => {
+                const line = this.lineNumbers.get(part);
+                const relic = this.relics.get(part.relic);
+                listedParts.add(`${part.part}|${part.relic}`);
+
+                if (!relic) {
+                    this.report(`${name}: ${part.part} drops from ${part.relic}, which is missing from # Relics`, false, line);
+                } else if (!relic.rewards.some(reward => reward.part === part.part)) {
+                    this.report(`${name}: ${part.part} isn't a reward of ${part.relic}`, false, line);
+                }
+            });
+        });
+
+        this.relics.forEach(({ rewards }, relicName) => {
+            rewards
+                .filter(reward => reward.part.includes('Prime') && !reward.part.includes('Forma'))
+                .filter(reward => !listedParts.has(`${reward.part}|${relicName}`))
+                .forEach(reward => {
+                    this.report(`${relicName}: ${reward.part} is missing from # Primes`, false, this.lineNumbers.get(reward));
+                });
+        });
+    }
+
     parsePartInfo(line) {
         const partLine = line.replace(/^[- ]+/, '');
         const parts = partLine.split('->').map(s => s.trim());
-        
-        if (parts.length < 2) {
+
+        if (parts.length !== 2 || !parts[1]) {
             throw new Error(`Invalid part format: ${line}`);
         }
-        
-        const [partInfo, relicInfo] = parts;
+
+        const [partInfo, relicAndChances] = parts;
         const [part, rarity] = this.parsePartAndRarity(partInfo);
+        const [relicInfo, chances] = this.parseChances(relicAndChances);
 
         return {
             part: part || '',
             rarity: rarity || '',
-            relic: relicInfo || ''
+            relic: relicInfo || '',
+            chances
         };
     }
 
@@ -134,94 +463,620 @@ class WarframeDataParser {
         if (!rewardLine) {
             throw new Error(`Empty reward line: ${line}`);
         }
-        
-        const [part, rarity] = this.parsePartAndRarity(rewardLine);
+
+        const [rewardInfo, chances] = this.parseChances(rewardLine);
+        const [part, rarity] = this.parsePartAndRarity(rewardInfo);
 
         return {
             part: part || '',
-            rarity: rarity || ''
+            rarity: rarity || '',
+            chances
+        };
+    }
+
+    parseChangeInfo(group, info) {
+        if (group === 'primes' || group === 'relics') return info;
+
+        if (group === 'parts') {
+            // "Nidus Prime: Nidus Prime Blueprint -> Neo N9 Relic"
+            const match = info.match(/^(.+?): (.+) -> (.+)$/);
+            if (!match) throw new Error(`Invalid part change format: ${info}`);
+            return { prime: match[1], part: match[2], relic: match[3] };
+        }
+
+        // "Lith B1 Relic: Braton Prime Stock [Radiant: 12.50% -> 16.67%]"
+        const match = info.match(new RegExp(`^(.+?): (.+) \\[([^:\\]]+): ${PERCENT_PATTERN} -> ${PERCENT_PATTERN}\\]$`));
+        if (!match) throw new Error(`Invalid chance change format: ${info}`);
+        const refinement = this.lookup('refinements', match[3]);
+        if (!refinement) {
+            this.report(`Unknown refinement: ${match[3]}`);
+        }
+        return {
+            relic: match[1],
+            part: match[2],
+            refinement: refinement || match[3],
+            from: Locales.parseNumber(match[4]),
+            to: Locales.parseNumber(match[5])
+        };
+    }
+
+    parseSourceInfo(line) {
+        const sourceLine = line.substring(2).trim();
+        const match = sourceLine.match(new RegExp(`^(.*?)(?::\\s*${PERCENT_PATTERN})?$`));
+
+        if (!match || !match[1]) {
+            throw new Error(`Invalid source format: ${line}`);
+        }
+
+        // The rotation follows the mission after a comma, e.g. "Lua/Apollo (Disruption), Rotation B"
+        let mission = match[1].trim();
+        const comma = mission.lastIndexOf(', ');
+        const rotation = comma >= 0 && this.matchMessage('rotation', mission.substring(comma + 2));
+        if (rotation) {
+            mission = mission.substring(0, comma).trim();
+        }
+
+        return {
+            mission,
+            rotation: rotation ? rotation[1] : null,
+            chance: match[2] !== undefined ? Locales.parseNumber(match[2]) : null
         };
     }
 
     parsePartAndRarity(info) {
         if (!info) return ['', ''];
-        
+
         const rarityMatch = info.match(/\(([^)]+)\)$/);
         let part = info;
         let rarity = '';
-        
+
         if (rarityMatch) {
-            rarity = rarityMatch[1].trim();
+            rarity = this.lookup('rarities', rarityMatch[1].trim()) || rarityMatch[1].trim();
             part = info.substring(0, rarityMatch.index).trim();
         }
-        
+
+        if (!RARITIES.includes(rarity)) {
+            this.report(rarity ? `Unknown rarity: ${rarity}` : `Missing rarity: ${info}`);
+        }
+
         return [part, rarity];
     }
+
+    parseChances(info) {
+        const chances = {};
+        if (!info) return ['', chances];
+
+        // Chances are a trailing list like "[Intact: 2.00%, Radiant: 10.00%]"
+        const chancesMatch = info.match(/\[([^\]]*)\]$/);
+        if (!chancesMatch) {
+            this.report(`Missing chances: ${info}`);
+            return [info, chances];
+        }
+
+        // Entries are separated by a comma or, where the comma is the decimal mark, a semicolon
+        chancesMatch[1].split(/[,;]\s*(?=\D)/).filter(entry => entry.trim()).forEach(entry => {
+            const match = entry.trim().match(new RegExp(`^(.+?):\\s*${PERCENT_PATTERN}$`));
+            const refinement = match && this.lookup('refinements', match[1]);
+            if (refinement) {
+                chances[refinement] = Locales.parseNumber(match[2]);
+            } else {
+                this.report(`Invalid chance: ${entry.trim()}`);
+            }
+        });
+
+        return [info.substring(0, chancesMatch.index).trim(), chances];
+    }
+}
+
+// Writes parsed data back in the markdown format read by WarframeDataParser
+class WarframeMarkdownSerializer {
+    constructor({ locale = DEFAULT_LOCALE } = {}) {
+        this.locale = locale;
+        this.catalog = Locales.catalog(MARKDOWN_CATALOGS, locale);
+    }
+
+    serialize(data) {
+        const generatedOn = data.generatedAt ? this.formatDate(data.generatedAt) : data.generatedOn;
+        let markdown = generatedOn ? `# ${Locales.translate(this.catalog.generatedOn, { date: generatedOn })}\n\n` : '';
+
+        if (data.changelog) {
+            markdown += this.serializeChanges(data.changelog);
+        }
+
+        return markdown + this.serializePrimes(data.primes || {}) + this.serializeRelics(data.relics || {});
+    }
+
+    // Dates the parser couldn't read are written back as they were
+    formatDate(date) {
+        return isNaN(new Date(date)) ? date : Locales.formatDate(date, this.locale);
+    }
+
+    serializeChanges(changelog) {
+        let markdown = `# ${this.catalog.changes}\n\n`;
+
+        if (changelog.previousGeneratedAt) {
+            markdown += `${Locales.translate(this.catalog.comparedWith, { date: this.formatDate(changelog.previousGeneratedAt) })}\n\n`;
+        }
+
+        const formats = {
+            primes: prime => prime,
+            relics: relic => relic,
+            parts: ({ prime, part, relic }) => `${prime}: ${part} -> ${relic}`,
+            chances: ({ relic, part, refinement, from, to }) =>
+                `${relic}: ${part} [${this.catalog.refinements[refinement] || refinement}: ${this.serializePercent(from)} -> ${this.serializePercent(to)}]`
+        };
+
+        const subsections = Object.entries(CHANGELOG_SUBSECTIONS)
+            .map(([key, [group, list]]) => [this.catalog.changelog[key], list ? changelog[group][list] : changelog[group], formats[group]])
+            .filter(([, entries]) => entries.length > 0);
+
+        if (subsections.length === 0) {
+            return markdown + `${this.catalog.noChanges}\n\n`;
+        }
+
+        subsections.forEach(([title, entries, format]) => {
+            markdown += `## ${title}\n\n`;
+            entries.forEach(entry => {
+                markdown += `- ${format(entry)}\n`;
+            });
+            markdown += '\n';
+        });
+
+        return markdown;
+    }
+
+    serializePrimes(primes) {
+        let markdown = `# ${this.catalog.primes}\n\n`;
+        const writePrime = ({ name, parts }) => {
+            markdown += `- ${name}\n`;
+            parts.forEach(({ part, rarity, relic, chances }) => {
+                markdown += `  - ${this.serializeItem(part, rarity)} -> ${relic} [${this.serializeChances(chances)}]\n`;
+            });
+        };
+
+        // Sets that weren't classified come before the first subtype heading
+        const unclassified = Object.values(primes).filter(prime => !PRIME_SUBTYPES[prime.subtype]);
+        unclassified.forEach(writePrime);
+        if (unclassified.length > 0) {
+            markdown += '\n';
+        }
+
+        Object.keys(PRIME_SUBTYPES).forEach(subtype => {
+            const sets = Object.values(primes).filter(prime => prime.subtype === subtype);
+            if (sets.length === 0) return;
+
+            markdown += `## ${this.catalog.subtypes[subtype]}\n\n`;
+            sets.forEach(writePrime);
+            markdown += '\n';
+        });
+
+        return markdown;
+    }
+
+    serializeRelics(relics) {
+        let markdown = `# ${this.catalog.relics}\n\n`;
+
+        Object.entries(relics).forEach(([name, { rewards, sources }]) => {
+            markdown += `## ${name}\n\n`;
+            rewards.forEach(({ part, rarity, chances }) => {
+                markdown += `- ${this.serializeItem(part, rarity)} [${this.serializeChances(chances)}]\n`;
+            });
+            markdown += `\n**${this.catalog.sources}**:\n\n`;
+            sources.forEach(({ mission, rotation, chance }) => {
+                const rotationText = rotation ? `, ${Locales.translate(this.catalog.rotation, { rotation })}` : '';
+                markdown += `- ${mission}${rotationText}${typeof chance === 'number' ? `: ${this.serializePercent(chance)}` : ''}\n`;
+            });
+            markdown += '\n';
+        });
+
+        return markdown;
+    }
+
+    serializeItem(part, rarity) {
+        return rarity ? `${part} (${this.catalog.rarities[rarity] || rarity})` : part;
+    }
+
+    serializeChances(chances) {
+        return REFINEMENTS
+            .filter(refinement => typeof chances[refinement] === 'number')
+            .map(refinement => `${this.catalog.refinements[refinement]}: ${this.serializePercent(chances[refinement])}`)
+            .join(this.catalog.listSeparator);
+    }
+
+    serializePercent(chance) {
+        return Locales.formatPercent(chance, this.locale);
+    }
+}
+
+class WarframeJSONParser {
+    parse(content) {
+        const document = JSON.parse(content);
+
+        if (typeof document.schemaVersion !== 'number') {
+            throw new Error('Missing schemaVersion, not a Warframe Prime Nexus data file');
+        }
+
+        if (document.schemaVersion > SUPPORTED_SCHEMA_VERSION) {
+            throw new Error(`Unsupported schemaVersion ${document.schemaVersion}, this converter reads up to ${SUPPORTED_SCHEMA_VERSION}`);
+        }
+
+        return {
+            generatedAt: document.generatedAt || null,
+            primes: document.primes || {},
+            relics: document.relics || {},
+            changelog: document.changelog || null,
+            history: document.history || null
+        };
+    }
 }
 
+// Fonts and icon shipped with the converter, copied as they are into the assets of every page
+const STATIC_ASSETS_DIR = path.join(__dirname, 'static');
+
+// Themes of the page; "auto" follows the system light/dark preference
+const THEMES = ['auto', 'dark', 'light', 'high-contrast'];
+
+// Interface catalogs of the page. All of them ship with it, so the language can be switched in the browser
+const PAGE_CATALOGS = Locales.load(path.join(__dirname, 'locales'));
+
+// Shape shown next to every reward so rarity doesn't rely on color alone
+const RARITY_ICONS = {
+    Common: '●',
+    Uncommon: '▲',
+    Rare: '◆'
+};
+
+// Local storage keys of the display preferences, read before the page is drawn
+const DISPLAY_STORAGE_KEYS = {
+    theme: 'warframePrimeNexus.theme',
+    palette: 'warframePrimeNexus.palette',
+    locale: 'warframePrimeNexus.locale'
+};
+
+// Everything the page loads comes from its own origin, and nothing runs inline
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'none'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "font-src 'self'",
+    "img-src 'self'",
+    "connect-src 'self'",
+    "manifest-src 'self'",
+    "worker-src 'self'",
+    "base-uri 'none'",
+    "form-action 'none'"
+].join('; ');
+
 class HTMLGenerator {
-    static generateHTML(data) {
-        const separated = this.separateWarframesWeapons(data.primes);
-        data.primes = separated;
+    // Returns the page and every file it loads as { path, content }, paths relative to the page.
+    // Scripts, styles and data get a content hash in their name so they can be cached forever
+    // The page is written in the given locale, and switches to the visitor's choice once its script runs
+    // A feed, given by its path next to the page, is linked for feed readers to discover
+    static generateFiles(data, { siteLinks = false, fileName = 'index.html', locale = DEFAULT_LOCALE, feed = null } = {}) {
+        Locales.catalog(PAGE_CATALOGS, locale);
+        data.primes = this.groupBySubtype(data.primes);
+
+        const assets = {
+            styles: this.hashedAsset('assets/styles', '.css', this.getStyles()),
+            theme: this.hashedAsset('assets/theme', '.js', this.getThemeScript()),
+            locales: this.hashedAsset('assets/locales', '.js', this.getLocales(locale)),
+            data: this.hashedAsset('assets/data', '.js', this.getData(data)),
+            script: this.hashedAsset('assets/app', '.js', this.getScript())
+        };
+
+        const files = [
+            ...this.staticAssets(),
+            ...Object.values(assets),
+            { path: 'manifest.webmanifest', content: this.getManifest(fileName, locale) },
+            { path: fileName, content: this.generateHTML(assets, { siteLinks, locale, feed }) }
+        ];
+
+        return [...files, { path: 'sw.js', content: this.getServiceWorker(files, fileName) }];
+    }
 
+    static generateHTML(assets, { siteLinks = false, locale = DEFAULT_LOCALE, feed = null } = {}) {
         return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
     <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <link rel="icon" href="https://i.imgur.com/DTf1jQO.png">
+    <meta name="theme-color" content="#0a0a12">
+    <link rel="icon" href="assets/icon.svg" type="image/svg+xml">
+    <link rel="manifest" href="manifest.webmanifest">${feed ? `
+    <link rel="alternate" type="application/atom+xml" href="${feed}">` : ''}
     <title>Warframe Prime Nexus</title>
-    ${this.getStyles()}
-    <link href="https://fonts.googleapis.com/css2?family=Orbitron:wght@400;700&family=Exo+2:wght@300;500;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="${assets.styles.path}">
+    <script src="${assets.theme.path}"></script>
+    <script src="${assets.locales.path}" defer></script>
+    <script src="${assets.data.path}" defer></script>
+    <script src="${assets.script.path}" defer></script>
 </head>
 <body>
     <div class="void-grid"></div>
-    ${this.getTemplate()}
-    ${this.getScript(data)}
+    ${this.getTemplate({ siteLinks, locale })}
 </body>
 </html>`;
     }
 
-    static separateWarframesWeapons(primes) {
-        const separated = { warframes: {}, weapons: {} };
+    static hashedAsset(name, extension, content) {
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+        return { path: `${name}.${hash}${extension}`, content };
+    }
 
-        Object.entries(primes).forEach(([name, info]) => {
-            // More robust check for warframes - they typically have Systems, Chassis, and Neuroptics
-            const isWarframe = info.parts.some(part => 
-                part.part.includes('Systems') || 
-                part.part.includes('Chassis') || 
-                part.part.includes('Neuroptics')
-            );
+    static staticAssets(dir = STATIC_ASSETS_DIR) {
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+            ? this.staticAssets(path.join(dir, entry.name))
+            : [{
+                path: ['assets', ...path.relative(STATIC_ASSETS_DIR, path.join(dir, entry.name)).split(path.sep)].join('/'),
+                content: fs.readFileSync(path.join(dir, entry.name))
+            }]);
+    }
 
-            if (isWarframe) {
-                separated.warframes[name] = info;
-            } else {
-                separated.weapons[name] = info;
-            }
+    // Writes files as returned by generateFiles into outDir, returns the written paths
+    static writeFiles(files, outDir) {
+        return files.map(file => {
+            const target = path.join(outDir, file.path);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, file.content);
+            return target;
+        });
+    }
+
+    // Writes the page and its assets, the assets in an "assets" directory next to it
+    static writePage(data, outputFile, { siteLinks = false, locale = DEFAULT_LOCALE, feed = null } = {}) {
+        const files = this.generateFiles(data, { siteLinks, locale, feed, fileName: path.basename(outputFile) });
+        return this.writeFiles(files, path.dirname(outputFile));
+    }
+
+    static getManifest(fileName, locale = DEFAULT_LOCALE) {
+        return JSON.stringify({
+            name: 'Warframe Prime Nexus',
+            short_name: 'Prime Nexus',
+            description: this.translate(locale, 'manifest.description'),
+            lang: locale,
+            start_url: `./${fileName}`,
+            scope: './',
+            display: 'standalone',
+            background_color: '#0a0a12',
+            theme_color: '#0a0a12',
+            icons: [{ src: 'assets/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }]
+        }, null, 2);
+    }
+
+    // The worker serves the page and its assets from the build it was installed with, so the page
+    // works offline. Its cache name changes with every build, which makes the browser install the
+    // next build in the background; the page then offers to switch to it
+    static getServiceWorker(files, fileName) {
+        // The font licences only need to ship with the files, not to be cached
+        const precache = ['./', ...files.map(file => file.path).filter(file => !file.endsWith('.txt'))];
+        const version = crypto.createHash('sha256');
+        files.forEach(file => version.update(file.path).update(file.content));
+
+        return `const CACHE = 'prime-nexus-${version.digest('hex').slice(0, 10)}';
+const PRECACHE = ${JSON.stringify(precache, null, 4)};
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('prime-nexus-') && key !== CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE).then(async cache => {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+
+        // Pages of the site that aren't precached are kept once visited, for the next time there's no signal
+        try {
+            const response = await fetch(request);
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        } catch (error) {
+            return (request.mode === 'navigate' && await cache.match(${JSON.stringify(fileName)})) || Response.error();
+        }
+    }));
+});
+`;
+    }
+
+    // Runs before the page is drawn, so a remembered theme applies without a flash of the default one
+    static getThemeScript() {
+        return `(() => {
+    const keys = ${JSON.stringify(DISPLAY_STORAGE_KEYS)};
+    try {
+        const theme = JSON.parse(localStorage.getItem(keys.theme));
+        const palette = JSON.parse(localStorage.getItem(keys.palette));
+        if (theme && theme !== 'auto') document.documentElement.dataset.theme = theme;
+        if (palette) document.documentElement.dataset.palette = palette;
+    } catch (error) {
+        // Storage unavailable: the system theme and standard palette apply
+    }
+})();
+`;
+    }
+
+    // Every catalog, and the locale the page was generated in for visitors who haven't picked one
+    static getLocales(locale) {
+        return `window.primeNexusLocales = ${JSON.stringify({ default: locale, catalogs: PAGE_CATALOGS })};\n`;
+    }
+
+    // Looks up a message of the page catalogs by its path, e.g. "tabs.primes", falling back to English
+    static translate(locale, key, params = {}) {
+        const find = catalog => key.split('.').reduce((value, part) => (value ? value[part] : undefined), catalog);
+        const message = find(PAGE_CATALOGS[locale]) || find(PAGE_CATALOGS[DEFAULT_LOCALE]);
+        return Locales.translate(message, params);
+    }
+
+    // The data is a script rather than JSON so the page also works when opened from disk
+    static getData(data) {
+        return `window.primeNexusData = ${JSON.stringify(data)};\n`;
+    }
+
+    static groupBySubtype(primes) {
+        const grouped = Object.fromEntries(Object.keys(PRIME_SUBTYPES).map(subtype => [subtype, {}]));
+
+        Object.entries(primes).forEach(([name, info]) => {
+            grouped[PRIME_SUBTYPES[info.subtype] ? info.subtype : this.guessSubtype(info)][name] = info;
         });
 
-        return separated;
+        return grouped;
+    }
+
+    // Files generated before sets were classified only tell warframes apart by their parts
+    static guessSubtype(info) {
+        const isWarframe = info.parts.some(part =>
+            part.part.includes('Systems') ||
+            part.part.includes('Chassis') ||
+            part.part.includes('Neuroptics')
+        );
+
+        return isWarframe ? 'warframe' : 'other';
+    }
+
+    // The fonts shipped in assets/fonts, for stylesheets written in assets
+    static getFontFaces() {
+        const fontFace = (family, file, weight) => `
+        @font-face {
+            font-family: '${family}';
+            font-style: normal;
+            font-display: swap;
+            font-weight: ${weight};
+            src: url(fonts/${file}-latin-${weight}-normal.woff2) format('woff2');
+        }`;
+
+        return `${fontFace('Orbitron', 'orbitron', 400)}${fontFace('Orbitron', 'orbitron', 700)}
+        ${fontFace('Exo 2', 'exo-2', 300)}${fontFace('Exo 2', 'exo-2', 500)}${fontFace('Exo 2', 'exo-2', 700)}`;
     }
 
     static getStyles() {
-        return `<style>
+        return `${this.getFontFaces()}
+
         :root {
+            color-scheme: dark;
             --void-primary: #4a69bd;
             --void-accent: #6c5ce7;
             --void-dark: #0a0a12;
             --void-surface: rgba(26, 26, 45, 0.9);
             --void-border: #2a2a4a;
             --void-text: #e0e0ff;
+            --void-title: #fff;
+            --void-on-accent: #fff;
+            --void-tint: rgba(255, 255, 255, 0.03);
+            --void-tint-strong: rgba(255, 255, 255, 0.05);
+            --void-hover: rgba(108, 92, 231, 0.05);
+            --void-hover-strong: rgba(108, 92, 231, 0.1);
+            --void-shadow: rgba(0, 0, 0, 0.3);
+            --void-warning: #e67e22;
+            --void-danger: #ff4757;
             --void-rare: #ff4757;
             --void-uncommon: #e67e22;
             --void-common: #7f8c8d;
             --void-glow: rgba(108, 92, 231, 0.3);
         }
 
-        * {
-            box-sizing: border-box;
-            margin: 0;
-            padding: 0;
+        /* Themes only swap the palette. Without a choice the system preference is followed */
+        :root[data-theme="light"] {
+            color-scheme: light;
+            --void-primary: #2f4f9e;
+            --void-accent: #5a48d6;
+            --void-dark: #f4f4fb;
+            --void-surface: rgba(255, 255, 255, 0.95);
+            --void-border: #c9c9df;
+            --void-text: #1b1b2f;
+            --void-title: #1b1b2f;
+            --void-tint: rgba(0, 0, 0, 0.02);
+            --void-tint-strong: rgba(0, 0, 0, 0.04);
+            --void-shadow: rgba(0, 0, 0, 0.12);
+            --void-warning: #a04b00;
+            --void-danger: #c0392b;
+            --void-rare: #c0392b;
+            --void-uncommon: #a04b00;
+            --void-common: #5f6b6d;
+            --void-glow: rgba(90, 72, 214, 0.15);
+        }
+
+        :root[data-theme="high-contrast"] {
+            color-scheme: dark;
+            --void-primary: #ffd400;
+            --void-accent: #00e5ff;
+            --void-dark: #000;
+            --void-surface: #000;
+            --void-border: #fff;
+            --void-text: #fff;
+            --void-title: #fff;
+            --void-on-accent: #000;
+            --void-tint: transparent;
+            --void-tint-strong: #222;
+            --void-hover: #222;
+            --void-hover-strong: #333;
+            --void-shadow: transparent;
+            --void-warning: #ffd400;
+            --void-danger: #ff6e6e;
+            --void-rare: #ff6e6e;
+            --void-uncommon: #ffd400;
+            --void-common: #fff;
+            --void-glow: transparent;
+        }
+
+        /* Blue and orange stay apart for every common kind of color blindness */
+        :root[data-palette="colorblind"] {
+            --void-rare: #56b4e9;
+            --void-uncommon: #e69f00;
+            --void-common: #bbb;
+        }
+
+        :root[data-theme="light"][data-palette="colorblind"] {
+            --void-rare: #0072b2;
+            --void-uncommon: #b35c00;
+            --void-common: #555;
+        }
+
+        @media (prefers-color-scheme: light) {
+            :root:not([data-theme]) {
+                color-scheme: light;
+                --void-primary: #2f4f9e;
+                --void-accent: #5a48d6;
+                --void-dark: #f4f4fb;
+                --void-surface: rgba(255, 255, 255, 0.95);
+                --void-border: #c9c9df;
+                --void-text: #1b1b2f;
+                --void-title: #1b1b2f;
+                --void-tint: rgba(0, 0, 0, 0.02);
+                --void-tint-strong: rgba(0, 0, 0, 0.04);
+                --void-shadow: rgba(0, 0, 0, 0.12);
+                --void-warning: #a04b00;
+                --void-danger: #c0392b;
+                --void-rare: #c0392b;
+                --void-uncommon: #a04b00;
+                --void-common: #5f6b6d;
+                --void-glow: rgba(90, 72, 214, 0.15);
+            }
+
+            :root:not([data-theme])[data-palette="colorblind"] {
+                --void-rare: #0072b2;
+                --void-uncommon: #b35c00;
+                --void-common: #555;
+            }
+        }
+
+        * {
+            box-sizing: border-box;
+            margin: 0;
+            padding: 0;
             font-family: 'Exo 2', sans-serif;
         }
 
@@ -288,12 +1143,50 @@ class HTMLGenerator {
             animation: linePulse 2s infinite;
         }
 
+        .data-age {
+            margin-top: 0.5rem;
+            font-size: 0.9rem;
+            opacity: 0.8;
+        }
+
+        .data-age.offline {
+            color: var(--void-warning);
+            opacity: 1;
+        }
+
+        .update-banner {
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            gap: 1rem;
+            margin-bottom: 2rem;
+            padding: 1rem;
+            background: var(--void-surface);
+            border: 1px solid var(--void-primary);
+            border-radius: 8px;
+        }
+
+        .update-banner[hidden] {
+            display: none;
+        }
+
+        .site-links {
+            display: flex;
+            justify-content: center;
+            gap: 1.5rem;
+            margin-top: 0.5rem;
+        }
+
+        .site-links a {
+            color: var(--void-primary);
+        }
+
         .header h1 {
             font-family: 'Orbitron', sans-serif;
             font-size: 2.5rem;
             text-transform: uppercase;
             letter-spacing: 4px;
-            background: linear-gradient(45deg, #fff, var(--void-primary));
+            background: linear-gradient(45deg, var(--void-title), var(--void-primary));
             -webkit-background-clip: text;
             -webkit-text-fill-color: transparent;
             margin-bottom: 1rem;
@@ -323,6 +1216,12 @@ class HTMLGenerator {
             box-shadow: 0 0 20px var(--void-glow);
         }
 
+        .search-help {
+            margin-top: 0.5rem;
+            font-size: 0.85rem;
+            opacity: 0.8;
+        }
+
         .tab-container {
             display: flex;
             gap: 1rem;
@@ -363,7 +1262,7 @@ class HTMLGenerator {
 
         .prime-item:hover {
             transform: translateY(-2px);
-            box-shadow: 0 5px 15px rgba(0,0,0,0.3);
+            box-shadow: 0 5px 15px var(--void-shadow);
         }
 
         .prime-header {
@@ -376,7 +1275,29 @@ class HTMLGenerator {
         }
 
         .prime-header:hover {
-            background: rgba(108, 92, 231, 0.05);
+            background: var(--void-hover);
+        }
+
+        .disclosure-toggle {
+            flex: 1;
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+            background: none;
+            border: none;
+            padding: 0;
+            color: inherit;
+            font: inherit;
+            text-align: left;
+            cursor: pointer;
+        }
+
+        .disclosure-toggle:focus-visible,
+        .relic-hover:focus-visible,
+        .popup-close:focus-visible,
+        .relic-popup:focus-visible {
+            outline: 2px solid var(--void-accent);
+            outline-offset: 2px;
         }
 
         .prime-content {
@@ -399,7 +1320,7 @@ class HTMLGenerator {
         .part-item {
             padding: 1rem;
             margin: 0.5rem 0;
-            background: rgba(255,255,255,0.03);
+            background: var(--void-tint);
             border-radius: 6px;
             display: flex;
             align-items: center;
@@ -407,15 +1328,244 @@ class HTMLGenerator {
             transition: all 0.3s ease;
         }
 
+        .part-item {
+            flex-wrap: wrap;
+        }
+
+        .part-item.owned {
+            opacity: 0.45;
+        }
+
+        .part-item.owned .rarity-Rare,
+        .part-item.owned .rarity-Uncommon,
+        .part-item.owned .rarity-Common {
+            text-decoration: line-through;
+        }
+
+        .owned-toggle {
+            accent-color: var(--void-primary);
+            cursor: pointer;
+        }
+
+        .set-progress {
+            margin-left: auto;
+            margin-right: 1rem;
+            font-size: 0.85rem;
+            opacity: 0.8;
+            font-variant-numeric: tabular-nums;
+        }
+
+        .set-progress.complete {
+            color: var(--void-accent);
+            opacity: 1;
+        }
+
+        .action-button {
+            padding: 0.4rem 0.75rem;
+            background: var(--void-surface);
+            border: 1px solid var(--void-border);
+            border-radius: 6px;
+            color: var(--void-text);
+            cursor: pointer;
+            font-size: 0.85rem;
+            transition: all 0.3s ease;
+        }
+
+        .action-button:hover {
+            border-color: var(--void-primary);
+        }
+
+        .action-button:disabled {
+            opacity: 0.5;
+            cursor: default;
+            border-color: var(--void-border);
+        }
+
+        .wishlist-toggle {
+            margin-right: 0.5rem;
+            background: none;
+            border: none;
+            color: var(--void-warning);
+            font-size: 1.2rem;
+            cursor: pointer;
+        }
+
+        .view-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            margin-bottom: 1rem;
+            font-size: 0.9rem;
+        }
+
+        .export-actions {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5rem;
+            margin-left: auto;
+        }
+
+        .export-status {
+            opacity: 0.8;
+        }
+
+        .planner-item {
+            padding: 1rem 1.5rem;
+        }
+
+        .planner-row {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: space-between;
+            gap: 0.5rem 1rem;
+            font-weight: 500;
+        }
+
+        .planner-chance {
+            color: var(--void-accent);
+            font-variant-numeric: tabular-nums;
+        }
+
+        .planner-inputs {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1rem;
+            margin: 0.75rem 0 0.5rem;
+            font-size: 0.85rem;
+        }
+
+        .planner-inputs input {
+            width: 4rem;
+            margin-left: 0.25rem;
+            padding: 0.25rem 0.5rem;
+            background: var(--void-dark);
+            border: 1px solid var(--void-border);
+            border-radius: 4px;
+            color: var(--void-text);
+        }
+
+        .planner-needed {
+            font-size: 0.85rem;
+            opacity: 0.8;
+        }
+
+        .planner-item.useless {
+            opacity: 0.5;
+            border-style: dashed;
+        }
+
+        .planner-item.useless .planner-chance {
+            color: var(--void-danger);
+        }
+
+        .run-estimate {
+            flex-basis: 100%;
+            font-size: 0.85rem;
+            opacity: 0.8;
+            font-variant-numeric: tabular-nums;
+        }
+
+        .calculator-controls {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1.5rem;
+            margin-bottom: 2rem;
+            font-size: 0.95rem;
+        }
+
+        .calculator-controls select {
+            margin-left: 0.5rem;
+            padding: 0.4rem 0.75rem;
+            background: var(--void-surface);
+            border: 1px solid var(--void-border);
+            border-radius: 6px;
+            color: var(--void-text);
+        }
+
         .part-item:hover {
-            background: rgba(108, 92, 231, 0.1);
+            background: var(--void-hover-strong);
             transform: translateX(5px);
         }
 
+        .chance-list {
+            margin-left: auto;
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: flex-end;
+            gap: 0.75rem;
+            font-size: 0.85rem;
+            opacity: 0.8;
+            font-variant-numeric: tabular-nums;
+        }
+
+        .chance-list abbr {
+            text-decoration: none;
+            color: var(--void-primary);
+            margin-right: 0.25rem;
+        }
+
+        .source-list {
+            list-style: none;
+            margin: 1rem 0 0.5rem;
+            font-size: 0.9rem;
+        }
+
+        .source-list li {
+            display: flex;
+            gap: 0.75rem;
+            padding: 0.25rem 0;
+        }
+
+        .source-rotation {
+            color: var(--void-accent);
+        }
+
+        .source-chance {
+            margin-left: auto;
+            opacity: 0.8;
+            font-variant-numeric: tabular-nums;
+        }
+
         .rarity-Rare { color: var(--void-rare); }
         .rarity-Uncommon { color: var(--void-uncommon); }
         .rarity-Common { color: var(--void-common); }
 
+        .rarity-icon {
+            display: inline-block;
+            width: 1.2em;
+            text-align: center;
+        }
+
+        .visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip: rect(0 0 0 0);
+            white-space: nowrap;
+        }
+
+        .display-controls {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 1.5rem;
+            margin-bottom: 2rem;
+            font-size: 0.95rem;
+        }
+
+        .display-controls select {
+            margin-left: 0.5rem;
+            padding: 0.4rem 0.75rem;
+            background: var(--void-surface);
+            border: 1px solid var(--void-border);
+            border-radius: 6px;
+            color: var(--void-text);
+        }
+
         .relic-popup {
             position: fixed;
             right: 20px;
@@ -438,7 +1588,7 @@ class HTMLGenerator {
         .category-section {
             margin: 2rem 0;
             padding: 1rem;
-            background: rgba(255,255,255,0.03);
+            background: var(--void-tint);
             border-radius: 8px;
             border: 1px solid var(--void-border);
         }
@@ -456,10 +1606,25 @@ class HTMLGenerator {
         .relic-hover {
             cursor: pointer;
             position: relative;
+            background: none;
+            border: none;
             border-bottom: 1px dotted var(--void-primary);
+            padding: 0;
+            color: inherit;
+            font: inherit;
             transition: all 0.2s ease;
         }
 
+        .popup-close {
+            float: right;
+            background: none;
+            border: none;
+            color: var(--void-text);
+            font-size: 1.5rem;
+            line-height: 1;
+            cursor: pointer;
+        }
+
         .relic-hover:hover {
             color: var(--void-accent);
             border-bottom-color: var(--void-accent);
@@ -472,11 +1637,71 @@ class HTMLGenerator {
             opacity: 0.7;
         }
 
+        .badge {
+            display: inline-block;
+            margin-left: 0.5rem;
+            padding: 0 0.5rem;
+            border-radius: 4px;
+            font-size: 0.75rem;
+            font-weight: 700;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+            vertical-align: middle;
+        }
+
+        .badge-new {
+            background: var(--void-accent);
+            color: var(--void-on-accent);
+        }
+
+        .badge-leaving {
+            background: transparent;
+            border: 1px solid var(--void-danger);
+            color: var(--void-danger);
+        }
+
+        .changes-date {
+            font-size: 0.9rem;
+            opacity: 0.8;
+        }
+
+        .timeline-row {
+            display: grid;
+            grid-template-columns: minmax(10rem, 1fr) 2fr;
+            gap: 0.25rem 1rem;
+            align-items: center;
+            padding: 0.75rem 0;
+            border-bottom: 1px solid var(--void-border);
+        }
+
+        .timeline-track {
+            position: relative;
+            height: 0.75rem;
+            background: var(--void-tint-strong);
+            border-radius: 4px;
+            overflow: hidden;
+        }
+
+        .timeline-range {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            min-width: 3px;
+            background: var(--void-primary);
+            box-shadow: 0 0 8px var(--void-glow);
+        }
+
+        .timeline-dates {
+            grid-column: 2;
+            font-size: 0.85rem;
+            opacity: 0.8;
+        }
+
         .no-results {
             padding: 2rem;
             text-align: center;
             font-style: italic;
-            background: rgba(255,255,255,0.03);
+            background: var(--void-tint);
             border-radius: 8px;
             margin: 2rem 0;
         }
@@ -518,46 +1743,125 @@ class HTMLGenerator {
                 transform: translate(-50%, -50%);
             }
         }
-        </style>`;
+`;
     }
 
-    static getTemplate() {
+    // Text the script translates is marked with data-i18n (text), data-i18n-html (markup from the catalog),
+    // data-i18n-placeholder and data-i18n-aria-label, each naming its message in the page catalogs
+    static getTemplate({ siteLinks = false, locale = DEFAULT_LOCALE } = {}) {
+        const t = key => this.translate(locale, key);
+
         return `
         <div class="container">
             <div class="header">
                 <h1>Warframe Prime Nexus</h1>
-                <p>Prime Tracking by Steins</p>
+                <p data-i18n="header.subtitle">${t('header.subtitle')}</p>
+                <p id="dataAge" class="data-age" role="status"></p>
+                ${siteLinks ? `<nav class="site-links">
+                    <a href="primes/index.html" data-i18n="header.allPrimes">${t('header.allPrimes')}</a>
+                    <a href="relics/index.html" data-i18n="header.allRelics">${t('header.allRelics')}</a>
+                </nav>
+                <noscript>${t('header.noscript')}</noscript>` : ''}
+            </div>
+
+            <div class="display-controls">
+                <label><span data-i18n="display.theme">${t('display.theme')}</span>
+                    <select id="themeSelect">
+                        ${THEMES.map(theme => `<option value="${theme}" data-i18n="themes.${theme}">${t(`themes.${theme}`)}</option>`).join('')}
+                    </select>
+                </label>
+                <label><span data-i18n="display.language">${t('display.language')}</span>
+                    <select id="localeSelect">
+                        ${Object.entries(PAGE_CATALOGS).map(([value, { name }]) => `<option value="${value}" lang="${value}">${name}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    <input type="checkbox" id="colorblindToggle" class="owned-toggle">
+                    <span data-i18n="display.colorblind">${t('display.colorblind')}</span>
+                </label>
+            </div>
+
+            <div id="updateBanner" class="update-banner" role="status" hidden>
+                <span data-i18n="update.available">${t('update.available')}</span>
+                <button type="button" class="action-button" data-action="apply-update" data-i18n="update.reload">${t('update.reload')}</button>
             </div>
 
             <div class="search-container">
                 <input type="text" 
                     id="searchInput" 
                     class="search-input" 
-                    placeholder="Scanning for primes..."
-                    aria-label="Search input">
+                    placeholder="${t('search.placeholder')}"
+                    aria-label="${t('search.label')}"
+                    aria-describedby="searchHelp"
+                    data-i18n-placeholder="search.placeholder"
+                    data-i18n-aria-label="search.label">
+                <p id="searchHelp" class="search-help" data-i18n-html="search.help">${t('search.help')}</p>
             </div>
 
             <div class="tab-container">
-                <button class="tab-button active" data-tab="primes">Primes</button>
-                <button class="tab-button" data-tab="relics">Relics</button>
+                <button class="tab-button active" data-tab="primes" data-i18n="tabs.primes">${t('tabs.primes')}</button>
+                <button class="tab-button" data-tab="relics" data-i18n="tabs.relics">${t('tabs.relics')}</button>
+                <button class="tab-button" data-tab="history" data-i18n="tabs.history">${t('tabs.history')}</button>
+            </div>
+
+            <div class="calculator-controls">
+                <label><span data-i18n="controls.refinement">${t('controls.refinement')}</span>
+                    <select id="refinementSelect">
+                        ${REFINEMENTS.map(level => `<option value="${level}" data-i18n="refinements.${level}">${t(`refinements.${level}`)}</option>`).join('')}
+                    </select>
+                </label>
+                <label><span data-i18n="controls.squadSize">${t('controls.squadSize')}</span>
+                    <select id="squadSizeSelect">
+                        ${Array.from({ length: MAX_SQUAD_SIZE }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+                    </select>
+                </label>
+                <label><span data-i18n="controls.sort">${t('controls.sort')}</span>
+                    <select id="sortSelect">
+                        ${['name', 'rarity', 'sources'].map(sort => `<option value="${sort}" data-i18n="sort.${sort}">${t(`sort.${sort}`)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    <input type="checkbox" id="missingOnlyToggle" class="owned-toggle">
+                    <span data-i18n="controls.missingOnly">${t('controls.missingOnly')}</span>
+                </label>
+                <button type="button" id="exportOwnedButton" class="action-button" data-i18n="controls.exportOwned">${t('controls.exportOwned')}</button>
+                <button type="button" id="importOwnedButton" class="action-button" data-i18n="controls.importOwned">${t('controls.importOwned')}</button>
+                <input type="file" id="importOwnedFile" accept="application/json,.json" hidden>
             </div>
 
             <div id="mainContent"></div>
         </div>
 
-        <div id="relicPopup" class="relic-popup"></div>`;
+        <div id="relicPopup" class="relic-popup" role="dialog" aria-labelledby="relicPopupTitle" tabindex="-1"></div>`;
     }
 
-    static getScript(data) {
-        return `<script>
+    static getScript() {
+        return `
         const tierOrder = { Lith: 1, Meso: 2, Neo: 3, Axi: 4 };
+        const refinements = ${JSON.stringify(REFINEMENTS)};
+        const primeSections = ${JSON.stringify(Object.keys(PRIME_SUBTYPES))};
+        const subtypeCategories = ${JSON.stringify(Object.fromEntries(Object.entries(PRIME_SUBTYPES).map(([subtype, { category }]) => [subtype, category])))};
+        const rarities = ${JSON.stringify(RARITIES)};
+        const rarityIcons = ${JSON.stringify(RARITY_ICONS)};
+        const themes = ${JSON.stringify(THEMES)};
+        const confidenceLevels = [0.5, 0.9, 0.99];
         
         const state = {
-            data: ${JSON.stringify(data)},
+            data: window.primeNexusData,
             currentTab: 'primes',
             expandedItems: new Set(),
             searchTerm: '',
-            relicPopupVisible: false
+            sort: 'name',
+            refinement: refinements[0],
+            squadSize: 1,
+            owned: new Set(),
+            missingOnly: false,
+            wishlist: new Set(),
+            inventory: {},
+            plannerMode: false,
+            relicPopupVisible: false,
+            popupRelic: null,
+            popupInRoute: false
         };
 
         const utils = {
@@ -569,17 +1873,19 @@ class HTMLGenerator {
                 };
             },
 
+            compareRelics(a, b) {
+                const aTier = a.split(' ')[0];
+                const bTier = b.split(' ')[0];
+                
+                // Handle cases where the relic format doesn't match expected
+                const aTierValue = tierOrder[aTier] || 99;
+                const bTierValue = tierOrder[bTier] || 99;
+                
+                return aTierValue - bTierValue || a.localeCompare(b);
+            },
+
             sortRelics(relics) {
-                return relics.sort((a, b) => {
-                    const aTier = a.split(' ')[0];
-                    const bTier = b.split(' ')[0];
-                    
-                    // Handle cases where the relic format doesn't match expected
-                    const aTierValue = tierOrder[aTier] || 99;
-                    const bTierValue = tierOrder[bTier] || 99;
-                    
-                    return aTierValue - bTierValue || a.localeCompare(b);
-                });
+                return relics.sort((a, b) => this.compareRelics(a, b));
             },
 
             groupParts(parts) {
@@ -594,6 +1900,7 @@ class HTMLGenerator {
                         grouped.set(key, {
                             part: part.part,
                             rarity: part.rarity || '',
+                            chances: part.chances || {},
                             relics: []
                         });
                     }
@@ -610,94 +1917,855 @@ class HTMLGenerator {
             },
 
             filterByCategory(items, term, category) {
-                if (!term) {
-                    return Object.entries(items[category] || {});
-                }
-                
-                term = term.toLowerCase();
-                return Object.entries(items[category] || {}).filter(([name, info]) => {
-                    if (name.toLowerCase().includes(term)) return true;
-                    return info.parts && info.parts.some(p => 
-                        p.part && p.part.toLowerCase().includes(term) || 
-                        (p.relic && p.relic.toLowerCase().includes(term))
-                    );
-                });
+                const entries = Object.entries(items[category] || {});
+                const query = search.parse(term);
+
+                return search.sortPrimes(search.isEmpty(query)
+                    ? entries
+                    : entries.filter(([name, info]) => search.matchesPrime(query, name, info, category)));
             },
 
             filterItems(items, term) {
-                if (!term) {
-                    return Object.entries(items || {});
-                }
-                
-                term = term.toLowerCase();
-                return Object.entries(items || {}).filter(([name, info]) => {
-                    if (name.toLowerCase().includes(term)) return true;
-                    
-                    const parts = info.parts || info.rewards || [];
-                    return parts.some(p => 
-                        p.part && p.part.toLowerCase().includes(term) || 
-                        (p.relic && p.relic.toLowerCase().includes(term))
-                    );
-                });
+                const entries = Object.entries(items || {});
+                const query = search.parse(term);
+
+                return search.sortRelics(search.isEmpty(query)
+                    ? entries
+                    : entries.filter(([name, info]) => search.matchesRelic(query, name, info)));
             },
             
-            escapeHtml(unsafe) {
-                return unsafe
-                    .replace(/&/g, "&amp;")
-                    .replace(/</g, "&lt;")
-                    .replace(/>/g, "&gt;")
-                    .replace(/"/g, "&quot;")
-                    .replace(/'/g, "&#039;");
-            }
-        };
+            formatChances(chances) {
+                const known = refinements.filter(level => typeof (chances || {})[level] === 'number');
+                if (!known.length) return '';
 
-        const view = {
-            renderPrimes(term) {
-                const renderCategory = (category, title) => {
-                    const filtered = utils.filterByCategory(state.data.primes, term, category);
-                    if (!filtered.length) return '';
-                    
-                    return \`
-                        <div class="category-section">
-                            <h3 class="category-title">\${title}</h3>
-                            \${filtered.map(([name, info]) => this.renderPrimeItem(name, info)).join('')}
-                        </div>
-                    \`;
+                return \`
+                    <span class="chance-list">
+                        \${known.map(level => \`
+                            <span class="chance"><abbr title="\${i18n.t(\`refinements.\${level}\`)}">\${i18n.t(\`refinementAbbreviations.\${level}\`)}</abbr>\${i18n.percent(chances[level])}</span>
+                        \`).join('')}
+                    </span>
+                \`;
+            },
+
+            indexChanges(changelog) {
+                return {
+                    log: changelog,
+                    newPrimes: new Set(changelog ? changelog.primes.added : []),
+                    newParts: new Set(changelog ? changelog.parts.added.map(p => \`\${p.part}|\${p.relic}\`) : []),
+                    newRelics: new Set(changelog ? changelog.relics.added : [])
                 };
+            },
 
-                const content = \`
-                    \${renderCategory('warframes', 'Prime Warframes')}
-                    \${renderCategory('weapons', 'Prime Weapons')}
-                \`;
-                
-                return content || '<div class="no-results">No primes found matching your search</div>';
+            badge(kind) {
+                return kind === 'new'
+                    ? \`<span class="badge badge-new">\${i18n.t('badges.new')}</span>\`
+                    : \`<span class="badge badge-leaving">\${i18n.t('badges.leaving')}</span>\`;
             },
 
-            renderPrimeItem(name, info) {
-                const escapedName = utils.escapeHtml(name);
-                const groupedParts = utils.groupParts(info.parts || []);
-                
-                return \`
-                    <div class="prime-item">
-                        <div class="prime-header" onclick="controller.toggleItem('\${escapedName}')">
-                            <span>\${escapedName}</span>
-                            <span>\${state.expandedItems.has(name) ? '▼' : '▶'}</span>
-                        </div>
-                        <div class="prime-content \${state.expandedItems.has(name) ? 'active' : ''}">
-                            <ul class="part-list">
+            setParts(info) {
+                return [...new Set((info.parts || []).map(p => p.part).filter(Boolean))];
+            },
+
+            isSetMissingParts(info) {
+                return this.setParts(info).some(part => !state.owned.has(part));
+            },
+
+            downloadFile(fileName, content, type) {
+                const url = URL.createObjectURL(new Blob([content], { type }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                URL.revokeObjectURL(url);
+            },
+
+            copyText(text) {
+                if (navigator.clipboard && window.isSecureContext) {
+                    return navigator.clipboard.writeText(text);
+                }
+
+                // Pages opened from disk aren't a secure context, copy from a selected text area instead
+                return new Promise((resolve, reject) => {
+                    const area = document.createElement('textarea');
+                    area.value = text;
+                    area.setAttribute('readonly', '');
+                    area.className = 'visually-hidden';
+                    document.body.appendChild(area);
+                    area.select();
+                    try {
+                        document.execCommand('copy') ? resolve() : reject(new Error('The copy command was refused'));
+                    } catch (error) {
+                        reject(error);
+                    } finally {
+                        area.remove();
+                    }
+                });
+            },
+
+            dayNumber(date) {
+                return Date.parse(\`\${date}T00:00:00Z\`) / 86400000;
+            },
+
+            formatDate(date) {
+                return i18n.date(new Date(\`\${date}T00:00:00Z\`), {
+                    year: 'numeric',
+                    month: 'short',
+                    day: 'numeric',
+                    timeZone: 'UTC'
+                });
+            },
+
+            formatDateRange({ from, to }) {
+                return from === to
+                    ? this.formatDate(from)
+                    : \`\${this.formatDate(from)} – \${this.formatDate(to)}\`;
+            },
+
+            formatSources(sources) {
+                if (!sources || !sources.length) {
+                    return \`<div class="location">\${i18n.t('sources.unknown')}</div>\`;
+                }
+
+                return \`
+                    <ul class="source-list">
+                        \${sources.map(s => \`
+                            <li>
+                                <span>\${utils.escapeHtml(s.mission)}</span>
+                                \${s.rotation ? \`<span class="source-rotation">\${i18n.t('sources.rotation', { rotation: utils.escapeHtml(s.rotation) })}</span>\` : ''}
+                                \${typeof s.chance === 'number' ? \`<span class="source-chance">\${i18n.percent(s.chance)}</span>\` : ''}
+                            </li>
+                        \`).join('')}
+                    </ul>
+                \`;
+            },
+
+            // Reward name in its rarity color, with a shape and a screen reader label so color isn't the only cue
+            rarity(rarity, text) {
+                const icon = rarityIcons[rarity];
+                const label = icon && i18n.t(\`rarities.\${rarity}\`);
+                return \`<span class="rarity-\${rarity}">\${icon
+                    ? \`<span class="rarity-icon" aria-hidden="true" title="\${label}">\${icon}</span><span class="visually-hidden">\${label}: </span>\`
+                    : ''}\${this.escapeHtml(text)}</span>\`;
+            },
+
+            // Id for an element that belongs to a prime set or relic, e.g. "panel-axi-a16-relic"
+            domId(prefix, name) {
+                return \`\${prefix}-\${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}\`;
+            },
+
+            escapeHtml(unsafe) {
+                return unsafe
+                    .replace(/&/g, "&amp;")
+                    .replace(/</g, "&lt;")
+                    .replace(/>/g, "&gt;")
+                    .replace(/"/g, "&quot;")
+                    .replace(/'/g, "&#039;");
+            }
+        };
+
+        const storage = {
+            keys: {
+                owned: 'warframePrimeNexus.owned',
+                wishlist: 'warframePrimeNexus.wishlist',
+                inventory: 'warframePrimeNexus.inventory',
+                ...${JSON.stringify(DISPLAY_STORAGE_KEYS)}
+            },
+
+            load(key, fallback) {
+                try {
+                    const value = localStorage.getItem(key);
+                    return value === null ? fallback : JSON.parse(value);
+                } catch (error) {
+                    console.warn(\`Couldn't read \${key} from local storage\`, error);
+                    return fallback;
+                }
+            },
+
+            save(key, value) {
+                try {
+                    localStorage.setItem(key, JSON.stringify(value));
+                } catch (error) {
+                    console.warn(\`Couldn't save \${key} to local storage\`, error);
+                }
+            }
+        };
+
+        // Text of the page in the language picked by the visitor, or the one the page was generated in
+        const i18n = {
+            catalogs: window.primeNexusLocales.catalogs,
+            defaultLocale: window.primeNexusLocales.default,
+            locale: window.primeNexusLocales.default,
+            pluralRules: null,
+            formats: new Map(),
+
+            setLocale(locale) {
+                this.locale = locale;
+                this.pluralRules = new Intl.PluralRules(locale);
+                this.formats.clear();
+            },
+
+            message(key, locale) {
+                return key.split('.').reduce((value, part) => (value ? value[part] : undefined), this.catalogs[locale]);
+            },
+
+            // Message by its path, e.g. "tabs.primes", with its placeholders filled in.
+            // Messages with plural forms pick one by params.count; missing ones fall back to English
+            t(key, params = {}) {
+                let message = this.message(key, this.locale) || this.message(key, 'en') || key;
+                if (typeof message === 'object') {
+                    message = message[this.pluralRules.select(params.count)] || message.other;
+                }
+                return message.replace(/\\{(\\w+)\\}/g, (match, name) => (name in params ? params[name] : match));
+            },
+
+            // Formatters are reused, a page of chances would otherwise create thousands of them
+            format(value, options) {
+                const key = JSON.stringify(options);
+                if (!this.formats.has(key)) this.formats.set(key, new Intl.NumberFormat(this.locale, options));
+                return this.formats.get(key).format(value);
+            },
+
+            percent(value, digits = 2) {
+                return this.format(value / 100, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits });
+            },
+
+            number(value, digits) {
+                return this.format(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+            },
+
+            date(date, options = {}) {
+                return date.toLocaleDateString(this.locale, options);
+            },
+
+            // Static text of the page names its message in data-i18n attributes
+            translatePage() {
+                document.documentElement.lang = this.locale;
+                document.querySelectorAll('[data-i18n]').forEach(el => {
+                    el.textContent = this.t(el.dataset.i18n);
+                });
+                document.querySelectorAll('[data-i18n-html]').forEach(el => {
+                    el.innerHTML = this.t(el.dataset.i18nHtml);
+                });
+                document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+                    el.placeholder = this.t(el.dataset.i18nPlaceholder);
+                });
+                document.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+                    el.setAttribute('aria-label', this.t(el.dataset.i18nAriaLabel));
+                });
+            }
+        };
+
+        // Keeps the tab, search, expanded items and relic popup in the URL hash,
+        // e.g. "#relics?q=axi&open=Axi%20A16%20Relic"
+        const router = {
+            tabs: ['primes', 'relics', 'history'],
+
+            // Relic names may leave out the " Relic" suffix, e.g. "open=Axi%20A16"
+            resolveName(name) {
+                return !state.data.relics[name] && state.data.relics[\`\${name} Relic\`] ? \`\${name} Relic\` : name;
+            },
+
+            read() {
+                const [tab, query = ''] = location.hash.replace(/^#/, '').split('?');
+                const params = new URLSearchParams(query);
+                const popup = params.get('popup');
+
+                return {
+                    tab: this.tabs.includes(tab) ? tab : 'primes',
+                    searchTerm: params.get('q') || '',
+                    sort: params.get('sort') || 'name',
+                    expanded: params.getAll('open').map(name => this.resolveName(name)),
+                    popup: popup && state.data.relics[this.resolveName(popup)] ? this.resolveName(popup) : null
+                };
+            },
+
+            hash() {
+                const params = new URLSearchParams();
+                if (state.searchTerm) params.set('q', state.searchTerm);
+                if (state.sort !== 'name') params.set('sort', state.sort);
+                state.expandedItems.forEach(name => params.append('open', name));
+                if (state.popupRelic && state.popupInRoute) params.set('popup', state.popupRelic);
+
+                const query = params.toString().replace(/\\+/g, '%20');
+                return \`#\${state.currentTab}\${query ? \`?\${query}\` : ''}\`;
+            },
+
+            // Views get their own history entry, small changes like typing replace the current one
+            write(push = false) {
+                const hash = this.hash();
+                if (hash === location.hash) return;
+
+                try {
+                    history[push ? 'pushState' : 'replaceState'](null, '', hash);
+                } catch (error) {
+                    // Some browsers refuse to rewrite file:// URLs, the page still works without deep links
+                    console.warn("Couldn't update the URL", error);
+                }
+            }
+        };
+
+        // Installs the service worker and lets the user switch to a newer build once it's downloaded
+        const pwa = {
+            registration: null,
+
+            init() {
+                if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+                navigator.serviceWorker.register('sw.js').then(registration => {
+                    this.registration = registration;
+                    if (registration.waiting && navigator.serviceWorker.controller) this.showUpdate();
+                    registration.addEventListener('updatefound', () => this.watch(registration.installing));
+
+                    // Daily builds get published while the page stays open on a phone, so check now and then
+                    setInterval(() => this.check(), 60 * 60 * 1000);
+                    document.addEventListener('visibilitychange', () => {
+                        if (document.visibilityState === 'visible') this.check();
+                    });
+                }).catch(error => console.warn("Couldn't register the service worker", error));
+
+                let reloading = false;
+                navigator.serviceWorker.addEventListener('controllerchange', () => {
+                    if (reloading || !this.applying) return;
+                    reloading = true;
+                    location.reload();
+                });
+            },
+
+            check() {
+                if (navigator.onLine) this.registration.update().catch(() => {});
+            },
+
+            watch(worker) {
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showUpdate();
+                });
+            },
+
+            showUpdate() {
+                document.getElementById('updateBanner').hidden = false;
+            },
+
+            apply() {
+                if (!this.registration || !this.registration.waiting) return location.reload();
+
+                this.applying = true;
+                this.registration.waiting.postMessage('skipWaiting');
+            },
+
+            applying: false
+        };
+
+        const calculator = {
+            // Chance that at least one squad member's relic yields the part in a single run
+            runChance(chance, squadSize) {
+                return 1 - Math.pow(1 - chance / 100, squadSize);
+            },
+
+            runsForConfidence(runChance, confidence) {
+                if (runChance >= 1) return 1;
+                return Math.ceil(Math.log(1 - confidence) / Math.log(1 - runChance));
+            },
+
+            // Picks the relic with the best chance for a part at the chosen refinement
+            bestSource(parts, partName, refinement) {
+                return parts
+                    .filter(p => p.part === partName && p.chances && typeof p.chances[refinement] === 'number')
+                    .reduce((best, p) => !best || p.chances[refinement] > best.chance
+                        ? { relic: p.relic, chance: p.chances[refinement] }
+                        : best, null);
+            },
+
+            estimate(parts, partName) {
+                const source = this.bestSource(parts, partName, state.refinement);
+                if (!source || source.chance <= 0) return null;
+
+                const runChance = this.runChance(source.chance, state.squadSize);
+                return {
+                    ...source,
+                    expectedRuns: 1 / runChance,
+                    confidence: confidenceLevels.map(level => ({
+                        level,
+                        runs: this.runsForConfidence(runChance, level)
+                    }))
+                };
+            }
+        };
+
+        const planner = {
+            // Parts of wishlisted sets, or of every set when the wishlist is empty, that aren't owned yet
+            neededParts() {
+                const sets = Object.values(state.data.primes).flatMap(category => Object.entries(category));
+                const wanted = state.wishlist.size ? sets.filter(([name]) => state.wishlist.has(name)) : sets;
+                return new Set(wanted
+                    .flatMap(([, info]) => utils.setParts(info))
+                    .filter(part => !state.owned.has(part)));
+            },
+
+            ownedCount(relic) {
+                const counts = state.inventory[relic] || {};
+                return refinements.reduce((sum, level) => sum + (counts[level] || 0), 0);
+            },
+
+            usefulChance(info, refinement, needed) {
+                return (info.rewards || [])
+                    .filter(r => needed.has(r.part) && r.chances && typeof r.chances[refinement] === 'number')
+                    .reduce((sum, r) => sum + r.chances[refinement], 0);
+            },
+
+            // Best refinement among the ones the user owns, or among all of them when none are owned
+            bestRefinement(name, info, needed) {
+                const counts = state.inventory[name] || {};
+                const ownedLevels = refinements.filter(level => counts[level] > 0);
+                return (ownedLevels.length ? ownedLevels : refinements)
+                    .map(level => ({ refinement: level, chance: this.usefulChance(info, level, needed) }))
+                    .reduce((best, option) => option.chance > best.chance ? option : best);
+            },
+
+            rank(entries, needed) {
+                return entries
+                    .map(([name, info]) => ({
+                        name,
+                        info,
+                        owned: this.ownedCount(name),
+                        best: this.bestRefinement(name, info, needed),
+                        neededRewards: (info.rewards || []).filter(r => needed.has(r.part)).map(r => r.part)
+                    }))
+                    .sort((a, b) =>
+                        (b.owned > 0) - (a.owned > 0) ||
+                        b.best.chance - a.best.chance ||
+                        utils.compareRelics(a.name, b.name)
+                    );
+            }
+        };
+
+        // Query syntax of the search box: plain words are matched loosely against names,
+        // "key:value" words filter on a property, e.g. 'nekros tier:axi mission:"hydron"'.
+        // Values of the same filter are alternatives, different filters all have to match
+        const search = {
+            filters: ['tier', 'rarity', 'mission', 'category'],
+
+            parse(input) {
+                const query = { words: [], tier: [], rarity: [], mission: [], category: [], owned: null };
+
+                for (const [, key, quoted, plain] of (input || '').matchAll(/(?:(\\w+):)?(?:"([^"]*)"|(\\S+))/g)) {
+                    const filter = key && key.toLowerCase();
+                    const value = (quoted === undefined ? plain : quoted).trim().toLowerCase();
+
+                    if (filter === 'owned') {
+                        query.owned = ['yes', 'true'].includes(value) ? true : ['no', 'false'].includes(value) ? false : null;
+                    } else if (this.filters.includes(filter)) {
+                        if (value) query[filter].push(value);
+                    } else if (value) {
+                        query.words.push(key ? \`\${key.toLowerCase()}:\${value}\` : value);
+                    }
+                }
+
+                return query;
+            },
+
+            isEmpty(query) {
+                return !query.words.length && query.owned === null && this.filters.every(filter => !query[filter].length);
+            },
+
+            // Edit distance counting swapped neighbours as one typo
+            distance(a, b) {
+                const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+                for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+                for (let i = 1; i <= a.length; i++) {
+                    for (let j = 1; j <= b.length; j++) {
+                        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                            rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                        }
+                    }
+                }
+
+                return rows[a.length][b.length];
+            },
+
+            // Substring match, or one typo every four letters against the start of a word,
+            // so "nekrose" still finds Nekros Prime
+            fuzzyIncludes(text, word) {
+                text = (text || '').toLowerCase();
+                if (text.includes(word)) return true;
+
+                const allowed = Math.floor(word.length / 4);
+                if (!allowed) return false;
+
+                return text.split(/[^a-z0-9]+/).some(token => {
+                    for (let length = word.length - allowed; length <= word.length + allowed; length++) {
+                        if (length <= token.length && this.distance(token.slice(0, length), word) <= allowed) return true;
+                    }
+                    return false;
+                });
+            },
+
+            matchesWords(query, texts) {
+                return query.words.every(word => texts.some(text => this.fuzzyIncludes(text, word)));
+            },
+
+            matchesValue(values, actual) {
+                return !values.length || values.some(value => (actual || '').toLowerCase().startsWith(value));
+            },
+
+            // Rarities match by their English or displayed name, e.g. "rarity:peu" for Uncommon in French
+            matchesRarity(query, rarity) {
+                return this.matchesValue(query.rarity, rarity) ||
+                    (rarities.includes(rarity) && this.matchesValue(query.rarity, i18n.t(\`rarities.\${rarity}\`)));
+            },
+
+            matchesTier(query, relic) {
+                return this.matchesValue(query.tier, (relic || '').split(' ')[0]);
+            },
+
+            matchesMission(query, relic) {
+                const sources = (state.data.relics[relic] || {}).sources || [];
+                return !query.mission.length ||
+                    query.mission.some(value => sources.some(s => (s.mission || '').toLowerCase().includes(value)));
+            },
+
+            matchesCategory(query, subtype) {
+                return !query.category.length ||
+                    query.category.some(value => subtype.startsWith(value) || subtypeCategories[subtype] === value);
+            },
+
+            matchesOwned(query, part) {
+                return query.owned === null || state.owned.has(part) === query.owned;
+            },
+
+            matchesPrime(query, name, info, subtype) {
+                if (!this.matchesCategory(query, subtype)) return false;
+
+                const parts = (info.parts || []).filter(p =>
+                    this.matchesTier(query, p.relic) &&
+                    this.matchesRarity(query, p.rarity) &&
+                    this.matchesMission(query, p.relic) &&
+                    this.matchesOwned(query, p.part)
+                );
+                if (!parts.length) return false;
+
+                return this.matchesWords(query, [name, ...parts.flatMap(p => [p.part, p.relic])]);
+            },
+
+            // Set every reward belongs to, to filter relics by category
+            partSubtypes() {
+                if (!this.subtypeOfPart) {
+                    this.subtypeOfPart = new Map();
+                    Object.entries(state.data.primes).forEach(([subtype, sets]) => {
+                        Object.values(sets).forEach(info => {
+                            utils.setParts(info).forEach(part => this.subtypeOfPart.set(part, subtype));
+                        });
+                    });
+                }
+                return this.subtypeOfPart;
+            },
+
+            matchesRelic(query, name, info) {
+                if (!this.matchesTier(query, name) || !this.matchesMission(query, name)) return false;
+
+                const rewards = (info.rewards || []).filter(r =>
+                    this.matchesRarity(query, r.rarity) &&
+                    this.matchesCategory(query, this.partSubtypes().get(r.part) || 'other') &&
+                    this.matchesOwned(query, r.part)
+                );
+                if (!rewards.length) return false;
+
+                return this.matchesWords(query, [name, ...rewards.map(r => r.part), ...(info.sources || []).map(s => s.mission)]);
+            },
+
+            // Sorts rarer first, then by the lowest chance at the selected refinement
+            rarityKey(parts) {
+                return parts.reduce((best, p) => {
+                    const rank = rarities.includes(p.rarity) ? -rarities.indexOf(p.rarity) : 1;
+                    const chance = (p.chances || {})[state.refinement];
+                    const key = [rank, typeof chance === 'number' ? chance : 100];
+                    return key[0] < best[0] || (key[0] === best[0] && key[1] < best[1]) ? key : best;
+                }, [1, 100]);
+            },
+
+            compareRarity(a, b) {
+                const [aKey, bKey] = [this.rarityKey(a), this.rarityKey(b)];
+                return aKey[0] - bKey[0] || aKey[1] - bKey[1];
+            },
+
+            sortPrimes(entries) {
+                const relicCount = info => new Set((info.parts || []).map(p => p.relic).filter(Boolean)).size;
+                const compare = {
+                    name: () => 0,
+                    rarity: ([, a], [, b]) => this.compareRarity(a.parts || [], b.parts || []),
+                    sources: ([, a], [, b]) => relicCount(b) - relicCount(a)
+                }[state.sort] || (() => 0);
+
+                return entries.sort((a, b) => compare(a, b) || a[0].localeCompare(b[0]));
+            },
+
+            sortRelics(entries) {
+                const compare = {
+                    name: () => 0,
+                    rarity: ([, a], [, b]) => this.compareRarity(a.rewards || [], b.rewards || []),
+                    sources: ([, a], [, b]) => (b.sources || []).length - (a.sources || []).length
+                }[state.sort] || (() => 0);
+
+                return entries.sort((a, b) => compare(a, b) || utils.compareRelics(a[0], b[0]));
+            }
+        };
+
+        // Exports what the Primes or Relics tab currently shows, after search and filters
+        const exporter = {
+            relicsShown() {
+                return state.currentTab === 'relics';
+            },
+
+            // One row per part and relic it drops from, or per relic reward
+            rows() {
+                const chances = values => Object.fromEntries(refinements.map(level => [level, (values || {})[level] ?? '']));
+
+                if (this.relicsShown()) {
+                    return view.visibleRelics(state.searchTerm).flatMap(([name, info]) => (info.rewards || []).map(r => ({
+                        relic: name,
+                        tier: info.tier || name.split(' ')[0],
+                        part: r.part || '',
+                        rarity: r.rarity || '',
+                        ...chances(r.chances),
+                        sources: (info.sources || [])
+                            .map(s => s.rotation ? \`\${s.mission} (\${s.rotation})\` : s.mission)
+                            .join('; ')
+                    })));
+                }
+
+                return view.visiblePrimes(state.searchTerm).flatMap(([subtype, entries]) => entries.flatMap(([name, info]) =>
+                    (info.parts || []).map(p => ({
+                        set: name,
+                        subtype,
+                        part: p.part,
+                        rarity: p.rarity || '',
+                        relic: p.relic || '',
+                        ...chances(p.chances),
+                        owned: state.owned.has(p.part)
+                    }))));
+            },
+
+            toCSV() {
+                const rows = this.rows();
+                if (!rows.length) return '';
+
+                // Fields holding a comma, a quote or a line break are quoted, with their quotes doubled
+                const field = value => {
+                    const text = String(value);
+                    return /[",\\r\\n]/.test(text) ? \`"\${text.replace(/"/g, '""')}"\` : text;
+                };
+                const columns = Object.keys(rows[0]);
+
+                return [columns, ...rows.map(row => columns.map(column => row[column]))]
+                    .map(values => values.map(field).join(','))
+                    .join('\\r\\n') + '\\r\\n';
+            },
+
+            toJSON() {
+                const items = this.relicsShown()
+                    ? { relics: view.visibleRelics(state.searchTerm).map(([name, info]) => ({ name, ...info })) }
+                    : {
+                        primes: view.visiblePrimes(state.searchTerm).flatMap(([, entries]) => entries.map(([name, info]) => ({
+                            ...info,
+                            name,
+                            parts: (info.parts || []).map(p => ({ ...p, owned: state.owned.has(p.part) }))
+                        })))
+                    };
+
+                return JSON.stringify({
+                    exportedAt: new Date().toISOString(),
+                    generatedAt: state.data.generatedAt || null,
+                    tab: state.currentTab,
+                    search: state.searchTerm,
+                    missingOnly: !this.relicsShown() && state.missingOnly,
+                    ...items
+                }, null, 2);
+            },
+
+            // Parts still to farm with the relics they drop from, under a heading per relic tier,
+            // one "- Braton Prime Stock → Lith B1, Lith C2" line each
+            farmingList() {
+                const relicsByPart = new Map();
+                const add = (part, relic) => {
+                    if (!part || !relic || state.owned.has(part)) return;
+                    if (!relicsByPart.has(part)) relicsByPart.set(part, new Set());
+                    relicsByPart.get(part).add(relic);
+                };
+
+                if (this.relicsShown()) {
+                    // Forma and other non-prime rewards aren't worth listing
+                    const primeParts = search.partSubtypes();
+                    view.visibleRelics(state.searchTerm).forEach(([name, info]) => {
+                        (info.rewards || []).filter(r => primeParts.has(r.part)).forEach(r => add(r.part, name));
+                    });
+                } else {
+                    view.visiblePrimes(state.searchTerm).forEach(([, entries]) => {
+                        entries.forEach(([, info]) => (info.parts || []).forEach(p => add(p.part, p.relic)));
+                    });
+                }
+
+                const tiers = new Map();
+                [...relicsByPart.keys()].sort().forEach(part => {
+                    const byTier = new Map();
+                    utils.sortRelics([...relicsByPart.get(part)]).forEach(relic => {
+                        const tier = relic.split(' ')[0];
+                        byTier.set(tier, [...(byTier.get(tier) || []), relic.replace(/ Relic$/, '')]);
+                    });
+                    byTier.forEach((relics, tier) => {
+                        if (!tiers.has(tier)) tiers.set(tier, []);
+                        tiers.get(tier).push(\`- \${part} → \${relics.join(', ')}\`);
+                    });
+                });
+
+                const text = [...tiers.keys()]
+                    .sort((a, b) => (tierOrder[a] || 99) - (tierOrder[b] || 99) || a.localeCompare(b))
+                    .map(tier => [tier, ...tiers.get(tier)].join('\\n'))
+                    .join('\\n\\n');
+
+                return { text: text && \`\${text}\\n\`, parts: relicsByPart.size };
+            }
+        };
+
+        const changes = utils.indexChanges(state.data.changelog);
+
+        const view = {
+            // Prime sets matching the search and filters, as [subtype, sets] for every subtype with any
+            visiblePrimes(term) {
+                return primeSections
+                    .map(subtype => [subtype, utils.filterByCategory(state.data.primes, term, subtype)
+                        .filter(([, info]) => !state.missingOnly || utils.isSetMissingParts(info))])
+                    .filter(([, entries]) => entries.length);
+            },
+
+            visibleRelics(term) {
+                return utils.filterItems(state.data.relics, term);
+            },
+
+            renderPrimes(term) {
+                const visible = this.visiblePrimes(term);
+                const toolbar = this.renderToolbar('', !visible.length);
+
+                if (!visible.length) return toolbar + \`<div class="no-results">\${i18n.t('primes.noResults')}</div>\`;
+
+                return toolbar + (term ? '' : this.renderPrimeChanges()) + visible.map(([subtype, entries]) => \`
+                    <div class="category-section">
+                        <h3 class="category-title">\${i18n.t(\`subtypes.\${subtype}\`)}</h3>
+                        \${entries.map(([name, info]) => this.renderPrimeItem(name, info)).join('')}
+                    </div>
+                \`).join('');
+            },
+
+            // Toolbar above the Primes and Relics lists, with the export actions of what they show
+            renderToolbar(content, empty) {
+                const disabled = empty ? 'disabled' : '';
+
+                return \`
+                    <div class="view-toolbar">
+                        \${content}
+                        <div class="export-actions" role="group" aria-label="\${i18n.t('export.label')}">
+                            <span id="exportStatus" class="export-status" role="status"></span>
+                            <button type="button" class="action-button" data-action="export-view" data-format="csv" \${disabled}>\${i18n.t('export.csv')}</button>
+                            <button type="button" class="action-button" data-action="export-view" data-format="json" \${disabled}>\${i18n.t('export.json')}</button>
+                            <button type="button" class="action-button" data-action="export-view" data-format="text" \${disabled}>\${i18n.t('export.text')}</button>
+                        </div>
+                    </div>
+                \`;
+            },
+
+            renderChangesSection(items) {
+                const log = changes.log;
+                if (!log || !items.length) return '';
+
+                const previous = new Date(log.previousGeneratedAt || NaN);
+                const since = !isNaN(previous)
+                    ? \`<p class="changes-date">\${i18n.t('changes.since', { date: utils.escapeHtml(i18n.date(previous)) })}</p>\`
+                    : '';
+
+                return \`
+                    <div class="category-section changes-section">
+                        <h3 class="category-title">\${i18n.t('changes.title')}</h3>
+                        \${since}
+                        <ul class="part-list">
+                            \${items.map(([kind, text]) => \`
+                                <li class="part-item">\${utils.badge(kind)}<span>\${utils.escapeHtml(text)}</span></li>
+                            \`).join('')}
+                        </ul>
+                    </div>
+                \`;
+            },
+
+            renderPrimeChanges() {
+                const log = changes.log;
+                if (!log) return '';
+
+                // Parts of whole sets that came or went are covered by the set itself
+                const removedPrimes = new Set(log.primes.removed);
+                return this.renderChangesSection([
+                    ...log.primes.added.map(name => ['new', name]),
+                    ...log.primes.removed.map(name => ['leaving', name]),
+                    ...log.parts.added.filter(p => !changes.newPrimes.has(p.prime)).map(p => ['new', \`\${p.part} → \${p.relic}\`]),
+                    ...log.parts.removed.filter(p => !removedPrimes.has(p.prime)).map(p => ['leaving', \`\${p.part} → \${p.relic}\`])
+                ]);
+            },
+
+            renderRelicChanges() {
+                const log = changes.log;
+                if (!log) return '';
+
+                return this.renderChangesSection([
+                    ...log.relics.added.map(name => ['new', name]),
+                    ...log.relics.removed.map(name => ['leaving', name])
+                ]);
+            },
+
+            renderPrimeItem(name, info) {
+                const escapedName = utils.escapeHtml(name);
+                const groupedParts = utils.groupParts(info.parts || []);
+                const setParts = utils.setParts(info);
+                const ownedCount = setParts.filter(part => state.owned.has(part)).length;
+                const complete = setParts.length > 0 && ownedCount === setParts.length;
+                
+                return \`
+                    <div class="prime-item">
+                        <div class="prime-header">
+                            \${this.renderToggle(name, \`\${escapedName}\${changes.newPrimes.has(name) ? utils.badge('new') : ''}\`)}
+                            <button type="button" class="wishlist-toggle"
+                                aria-pressed="\${state.wishlist.has(name)}"
+                                title="\${i18n.t(state.wishlist.has(name) ? 'primes.removeFromWishlist' : 'primes.addToWishlist')}"
+                                data-action="toggle-wishlist" data-name="\${escapedName}">
+                                \${state.wishlist.has(name) ? '★' : '☆'}
+                            </button>
+                            <span class="set-progress \${complete ? 'complete' : ''}">\${i18n.t('primes.ownedCount', { owned: ownedCount, total: setParts.length })}</span>
+                            <button type="button" class="action-button"
+                                data-action="toggle-set-owned" data-name="\${escapedName}">
+                                \${i18n.t(complete ? 'primes.unmarkSet' : 'primes.markSetOwned')}
+                            </button>
+                        </div>
+                        \${this.renderPanelStart(name)}
+                            <ul class="part-list">
                                 \${groupedParts.map(p => \`
-                                    <li class="part-item">
-                                        <span class="rarity-\${p.rarity}">\${utils.escapeHtml(p.part)}</span>
+                                    <li class="part-item \${state.owned.has(p.part) ? 'owned' : ''}">
+                                        <input type="checkbox" class="owned-toggle"
+                                            aria-label="\${i18n.t('primes.owned')}"
+                                            \${state.owned.has(p.part) ? 'checked' : ''}
+                                            data-action="toggle-part-owned" data-part="\${utils.escapeHtml(p.part)}">
+                                        \${utils.rarity(p.rarity, p.part)}
+                                        \${!changes.newPrimes.has(name) && p.relics.some(r => changes.newParts.has(\`\${p.part}|\${r}\`)) ? utils.badge('new') : ''}
                                         <span>→</span>
                                         <span class="part-link">
                                             \${p.relics.map(r => \`
-                                                <span class="relic-hover"
-                                                    onmouseover="controller.showRelicPopup('\${utils.escapeHtml(r)}')"
-                                                    onmouseout="controller.hideRelicPopupWithDelay()">
-                                                    \${utils.escapeHtml(r)}
-                                                </span>
+                                                <button type="button" class="relic-hover"
+                                                    aria-haspopup="dialog" aria-controls="relicPopup"
+                                                    data-action="open-relic" data-relic="\${utils.escapeHtml(r)}">\${utils.escapeHtml(r)}</button>
                                             \`).join(' > ')}
                                         </span>
+                                        \${utils.formatChances(p.chances)}
+                                        \${this.renderRunEstimate(calculator.estimate(info.parts || [], p.part))}
                                     </li>
                                 \`).join('')}
                             </ul>
@@ -706,22 +2774,66 @@ class HTMLGenerator {
                 \`;
             },
 
+            // Header button of a disclosure widget; its panel starts with renderPanelStart
+            renderToggle(name, label) {
+                const expanded = state.expandedItems.has(name);
+
+                return \`
+                    <button type="button" class="disclosure-toggle"
+                        id="\${utils.domId('toggle', name)}"
+                        aria-expanded="\${expanded}"
+                        aria-controls="\${utils.domId('panel', name)}"
+                        data-action="toggle-item" data-name="\${utils.escapeHtml(name)}">
+                        <span class="disclosure-icon" aria-hidden="true">\${expanded ? '▼' : '▶'}</span>
+                        <span>\${label}</span>
+                    </button>
+                \`;
+            },
+
+            renderPanelStart(name) {
+                return \`<div class="prime-content \${state.expandedItems.has(name) ? 'active' : ''}"
+                    id="\${utils.domId('panel', name)}" role="region" aria-labelledby="\${utils.domId('toggle', name)}">\`;
+            },
+
+            renderRunEstimate(estimate) {
+                if (!estimate) return '';
+
+                return \`
+                    <span class="run-estimate">
+                        \${i18n.t('estimate.best', {
+                            relic: utils.escapeHtml(estimate.relic),
+                            refinement: i18n.t(\`refinements.\${state.refinement}\`),
+                            chance: i18n.percent(estimate.chance)
+                        })}
+                        · \${i18n.t('estimate.expectedRuns', { runs: i18n.number(estimate.expectedRuns, 1) })}
+                        · \${estimate.confidence.map(c => i18n.t('estimate.confidence', { level: i18n.percent(c.level * 100, 0), count: c.runs })).join(' · ')}
+                    </span>
+                \`;
+            },
+
             renderRelics(term) {
-                const filtered = utils.filterItems(state.data.relics, term);
-                if (!filtered.length) return '<div class="no-results">No relics found in current void cycle</div>';
+                const filtered = this.visibleRelics(term);
+                const toolbar = this.renderToolbar(\`
+                    <button type="button" class="action-button" data-action="toggle-planner">
+                        \${i18n.t(state.plannerMode ? 'relics.showContents' : 'relics.plan')}
+                    </button>
+                \`, !filtered.length);
+
+                if (!filtered.length) return toolbar + \`<div class="no-results">\${i18n.t('relics.noResults')}</div>\`;
+                if (state.plannerMode) return toolbar + this.renderPlanner(filtered);
 
-                return filtered.map(([name, info]) => \`
+                return toolbar + (term ? '' : this.renderRelicChanges()) + filtered.map(([name, info]) => \`
                     <div class="prime-item">
-                        <div class="prime-header" onclick="controller.toggleItem('\${utils.escapeHtml(name)}')">
-                            <span>\${utils.escapeHtml(name)}</span>
-                            <span>\${state.expandedItems.has(name) ? '▼' : '▶'}</span>
+                        <div class="prime-header">
+                            \${this.renderToggle(name, \`\${utils.escapeHtml(name)}\${changes.newRelics.has(name) ? utils.badge('new') : ''}\`)}
                         </div>
-                        <div class="prime-content \${state.expandedItems.has(name) ? 'active' : ''}">
-                            <div class="location">Void Location: \${utils.escapeHtml(info.location || 'Unknown')}</div>
+                        \${this.renderPanelStart(name)}
+                            \${utils.formatSources(info.sources)}
                             <ul class="part-list">
                                 \${(info.rewards || []).map(r => \`
                                     <li class="part-item">
-                                        <span class="rarity-\${r.rarity}">\${utils.escapeHtml(r.part || '')}</span>
+                                        \${utils.rarity(r.rarity, r.part || '')}
+                                        \${utils.formatChances(r.chances)}
                                     </li>
                                 \`).join('')}
                             </ul>
@@ -730,35 +2842,248 @@ class HTMLGenerator {
                 \`).join('');
             },
 
+            renderPlanner(entries) {
+                const needed = planner.neededParts();
+                const ranked = planner.rank(entries, needed);
+                const scope = state.wishlist.size
+                    ? i18n.t('planner.wishlisted', { count: state.wishlist.size })
+                    : i18n.t('planner.allSets');
+
+                return \`
+                    <p class="changes-date">\${i18n.t('planner.summary', { count: needed.size, scope })}</p>
+                    \${ranked.map(entry => this.renderPlannerItem(entry)).join('')}
+                \`;
+            },
+
+            renderPlannerItem({ name, info, owned, best, neededRewards }) {
+                const escapedName = utils.escapeHtml(name);
+                const counts = state.inventory[name] || {};
+                const useless = best.chance === 0;
+
+                return \`
+                    <div class="prime-item planner-item \${useless ? 'useless' : ''}">
+                        <div class="planner-row">
+                            <span>\${escapedName}\${owned ? \` <span class="set-progress">×\${owned}</span>\` : ''}</span>
+                            <span class="planner-chance">
+                                \${useless
+                                    ? i18n.t('planner.nothingNeeded')
+                                    : i18n.t('planner.chance', { refinement: i18n.t(\`refinements.\${best.refinement}\`), chance: i18n.percent(best.chance) })}
+                            </span>
+                        </div>
+                        <div class="planner-inputs">
+                            \${refinements.map(level => \`
+                                <label>\${i18n.t(\`refinements.\${level}\`)}
+                                    <input type="number" min="0" step="1" value="\${counts[level] || 0}"
+                                        aria-label="\${i18n.t('planner.ownedInput', { relic: escapedName, refinement: i18n.t(\`refinements.\${level}\`) })}"
+                                        data-action="set-inventory" data-relic="\${escapedName}" data-level="\${level}">
+                                </label>
+                            \`).join('')}
+                        </div>
+                        \${neededRewards.length ? \`<div class="planner-needed">\${i18n.t('planner.needed', { parts: neededRewards.map(part => utils.escapeHtml(part)).join(', ') })}</div>\` : ''}
+                    </div>
+                \`;
+            },
+
+            renderHistory(term) {
+                const history = state.data.history;
+                if (!history || !history.snapshots) {
+                    return \`<div class="no-results">\${i18n.t('history.empty')}</div>\`;
+                }
+
+                const start = utils.dayNumber(history.firstDate);
+                const span = utils.dayNumber(history.lastDate) - start + 1;
+
+                const query = search.parse(term);
+                const renderTimeline = (ranges, names, title) => {
+                    const filtered = names.filter(name => search.matchesWords(query, [name]));
+                    if (!filtered.length) return '';
+
+                    return \`
+                        <div class="category-section">
+                            <h3 class="category-title">\${title}</h3>
+                            \${filtered.map(name => this.renderTimelineRow(name, ranges[name], start, span, history.lastDate)).join('')}
+                        </div>
+                    \`;
+                };
+
+                const content = \`
+                    \${renderTimeline(history.primes, Object.keys(history.primes).sort(), i18n.t('history.primes'))}
+                    \${renderTimeline(history.relics, utils.sortRelics(Object.keys(history.relics)), i18n.t('history.relics'))}
+                \`;
+
+                if (!content.trim()) return \`<div class="no-results">\${i18n.t('history.noResults')}</div>\`;
+
+                return \`
+                    <p class="changes-date">\${i18n.t('history.summary', {
+                        count: history.snapshots,
+                        range: utils.formatDateRange({ from: history.firstDate, to: history.lastDate })
+                    })}</p>
+                    \${content}
+                \`;
+            },
+
+            renderTimelineRow(name, ranges, start, span, lastDate) {
+                const last = ranges[ranges.length - 1];
+                const status = last.to === lastDate
+                    ? i18n.t('history.availableNow')
+                    : i18n.t('history.lastAvailable', { date: utils.formatDate(last.to) });
+
+                return \`
+                    <div class="timeline-row">
+                        <div class="timeline-label">\${utils.escapeHtml(name)}</div>
+                        <div class="timeline-track">
+                            \${ranges.map(range => {
+                                const left = (utils.dayNumber(range.from) - start) / span * 100;
+                                const width = (utils.dayNumber(range.to) - utils.dayNumber(range.from) + 1) / span * 100;
+                                return \`<span class="timeline-range" data-left="\${left}" data-width="\${width}" title="\${utils.formatDateRange(range)}"></span>\`;
+                            }).join('')}
+                        </div>
+                        <div class="timeline-dates">\${status} · \${ranges.map(range => utils.formatDateRange(range)).join(', ')}</div>
+                    </div>
+                \`;
+            },
+
             renderRelicPopup(relicName) {
                 const relic = state.data.relics[relicName];
-                if (!relic) return '<p>Relic information not found</p>';
+                if (!relic) return \`<p id="relicPopupTitle">\${i18n.t('relics.notFound')}</p>\`;
                 
                 return \`
-                    <h3>\${utils.escapeHtml(relicName)}</h3>
-                    <div class="location">\${utils.escapeHtml(relic.location || 'Unknown location')}</div>
+                    <button type="button" class="popup-close" aria-label="\${i18n.t('relics.close')}" data-action="close-popup">×</button>
+                    <h3 id="relicPopupTitle">\${utils.escapeHtml(relicName)}</h3>
+                    \${utils.formatSources(relic.sources)}
                     <ul class="part-list">
                         \${(relic.rewards || []).map(r => \`
                             <li class="part-item">
-                                <span class="rarity-\${r.rarity}">\${utils.escapeHtml(r.part || '')}</span>
+                                \${utils.rarity(r.rarity, r.part || '')}
+                                \${utils.formatChances(r.chances)}
                             </li>
                         \`).join('')}
                     </ul>
                 \`;
             },
 
-            updateDisplay() {
-                const content = state.currentTab === 'primes' 
-                    ? this.renderPrimes(state.searchTerm)
-                    : this.renderRelics(state.searchTerm);
-                document.getElementById('mainContent').innerHTML = content;
-            }
-        };
+            renderDataAge() {
+                const generated = new Date(state.data.generatedAt || state.data.generatedOn || NaN);
+                const element = document.getElementById('dataAge');
+                const offline = !navigator.onLine;
+
+                element.classList.toggle('offline', offline);
+                if (isNaN(generated)) {
+                    element.textContent = offline ? i18n.t('dataAge.offline') : '';
+                    return;
+                }
+
+                const days = Math.floor((Date.now() - generated.getTime()) / 86400000);
+                const age = days < 1 ? i18n.t('dataAge.today') : i18n.t('dataAge.days', { count: days });
+                element.textContent = \`\${i18n.t('dataAge.generated', { date: i18n.date(generated), age })}\${offline ? \` · \${i18n.t('dataAge.offline')}\` : ''}\`;
+            },
+
+            updateDisplay() {
+                const renderers = {
+                    primes: term => this.renderPrimes(term),
+                    relics: term => this.renderRelics(term),
+                    history: term => this.renderHistory(term)
+                };
+                const main = document.getElementById('mainContent');
+                const focused = main.contains(document.activeElement) ? this.controlKey(document.activeElement) : null;
+
+                main.innerHTML = renderers[state.currentTab](state.searchTerm);
+
+                // Inline style attributes are blocked by the content security policy, positions are set here instead
+                main.querySelectorAll('.timeline-range').forEach(range => {
+                    range.style.left = \`\${range.dataset.left}%\`;
+                    range.style.width = \`\${range.dataset.width}%\`;
+                });
+
+                // Re-rendering replaces the focused control, so focus its replacement
+                const replacement = focused && [...main.querySelectorAll('[id], [data-action]')].find(el => this.controlKey(el) === focused);
+                if (replacement) replacement.focus();
+            },
+
+            // Identifies a rendered control across re-renders, by its id or else by its action and the item it acts on
+            controlKey(el) {
+                if (el.id) return \`#\${el.id}\`;
+                if (!el.dataset.action) return null;
+                return JSON.stringify([el.tagName, ...Object.entries(el.dataset).sort()]);
+            }
+        };
+
+        const controller = {
+            init() {
+                state.owned = new Set(storage.load(storage.keys.owned, []));
+                state.wishlist = new Set(storage.load(storage.keys.wishlist, []));
+                state.inventory = storage.load(storage.keys.inventory, {});
+                this.setupListeners();
+                this.applyLocale();
+                this.applyRoute();
+                view.renderDataAge();
+                pwa.init();
+                this.applyDisplay();
+            },
+
+            // Theme and palette are already set on the root element by the theme script, this syncs the controls
+            applyDisplay() {
+                const root = document.documentElement;
+                const theme = storage.load(storage.keys.theme, 'auto');
+                const palette = storage.load(storage.keys.palette, null);
+
+                if (themes.includes(theme) && theme !== 'auto') {
+                    root.dataset.theme = theme;
+                } else {
+                    delete root.dataset.theme;
+                }
+                if (palette) {
+                    root.dataset.palette = palette;
+                } else {
+                    delete root.dataset.palette;
+                }
+
+                document.getElementById('themeSelect').value = themes.includes(theme) ? theme : 'auto';
+                document.getElementById('colorblindToggle').checked = palette === 'colorblind';
+            },
+
+            // The remembered language, or the one the page was generated in
+            applyLocale() {
+                const locale = storage.load(storage.keys.locale, null);
+
+                i18n.setLocale(i18n.catalogs[locale] ? locale : i18n.defaultLocale);
+                i18n.translatePage();
+                document.getElementById('localeSelect').value = i18n.locale;
+            },
+
+            // Restores the state described by the URL hash, on load and on back/forward
+            applyRoute() {
+                const route = router.read();
+
+                state.currentTab = route.tab;
+                state.searchTerm = route.searchTerm;
+                state.expandedItems = new Set(route.expanded);
+                document.getElementById('searchInput').value = route.searchTerm;
+                document.getElementById('sortSelect').value = route.sort;
+                state.sort = document.getElementById('sortSelect').value || 'name';
+                document.querySelectorAll('.tab-button').forEach(button => {
+                    button.classList.toggle('active', button.dataset.tab === route.tab);
+                });
+                view.updateDisplay();
+
+                if (route.popup) {
+                    this.showRelicDialog(route.popup);
+                } else {
+                    this.hideRelicPopup();
+                }
+            },
 
-        const controller = {
-            init() {
-                this.setupListeners();
+            setTab(tab) {
+                this.hideRelicPopup();
+                state.currentTab = tab;
+                document.querySelectorAll('.tab-button').forEach(button => {
+                    button.classList.toggle('active', button.dataset.tab === tab);
+                });
+                document.getElementById('searchInput').value = '';
+                state.searchTerm = '';
+                state.expandedItems.clear();
                 view.updateDisplay();
+                router.write(true);
             },
 
             setupListeners() {
@@ -766,29 +3091,114 @@ class HTMLGenerator {
                     utils.debounce(e => {
                         state.searchTerm = e.target.value;
                         view.updateDisplay();
+                        router.write();
                     }, 300)
                 );
 
+                document.getElementById('sortSelect').addEventListener('change', e => {
+                    state.sort = e.target.value;
+                    view.updateDisplay();
+                    router.write();
+                });
+
+                document.getElementById('refinementSelect').addEventListener('change', e => {
+                    state.refinement = e.target.value;
+                    view.updateDisplay();
+                });
+
+                document.getElementById('squadSizeSelect').addEventListener('change', e => {
+                    state.squadSize = parseInt(e.target.value, 10);
+                    view.updateDisplay();
+                });
+
+                document.getElementById('themeSelect').addEventListener('change', e => {
+                    storage.save(storage.keys.theme, e.target.value);
+                    this.applyDisplay();
+                });
+
+                document.getElementById('localeSelect').addEventListener('change', e => {
+                    storage.save(storage.keys.locale, e.target.value);
+                    this.applyLocale();
+                    view.updateDisplay();
+                    view.renderDataAge();
+                });
+
+                document.getElementById('colorblindToggle').addEventListener('change', e => {
+                    storage.save(storage.keys.palette, e.target.checked ? 'colorblind' : null);
+                    this.applyDisplay();
+                });
+
+                document.getElementById('missingOnlyToggle').addEventListener('change', e => {
+                    state.missingOnly = e.target.checked;
+                    view.updateDisplay();
+                });
+
+                document.getElementById('exportOwnedButton').addEventListener('click', () => this.exportOwned());
+                document.getElementById('importOwnedButton').addEventListener('click', () => {
+                    document.getElementById('importOwnedFile').click();
+                });
+                document.getElementById('importOwnedFile').addEventListener('change', e => {
+                    const [file] = e.target.files;
+                    if (file) this.importOwned(file);
+                    e.target.value = '';
+                });
+
                 document.querySelectorAll('.tab-button').forEach(btn => {
-                    btn.addEventListener('click', e => {
-                        document.querySelectorAll('.tab-button').forEach(b => b.classList.remove('active'));
-                        e.target.classList.add('active');
-                        state.currentTab = e.target.dataset.tab;
-                        document.getElementById('searchInput').value = '';
-                        state.searchTerm = '';
-                        state.expandedItems.clear();
-                        this.hideRelicPopup();
-                        view.updateDisplay();
-                    });
+                    btn.addEventListener('click', e => this.setTab(e.target.dataset.tab));
+                });
+
+                window.addEventListener('popstate', () => this.applyRoute());
+                window.addEventListener('online', () => view.renderDataAge());
+                window.addEventListener('offline', () => view.renderDataAge());
+
+                document.getElementById('mainContent').addEventListener('keydown', e => {
+                    if (e.target.classList.contains('disclosure-toggle')) this.moveFocus(e);
+                });
+
+                document.addEventListener('keydown', e => {
+                    if (e.key === 'Escape' && state.popupRelic) this.hideRelicPopup();
+                    if (e.key === 'Tab' && state.popupRelic) this.keepFocusInPopup(e);
                 });
                 
-                // Hide popup when clicking outside
+                // Rendered controls name their action and its arguments in data attributes
+                const actions = {
+                    'toggle-item': el => this.toggleItem(el.dataset.name),
+                    'toggle-wishlist': el => this.toggleWishlist(el.dataset.name),
+                    'toggle-set-owned': el => this.toggleSetOwned(el.dataset.name),
+                    'toggle-part-owned': el => this.togglePartOwned(el.dataset.part),
+                    'toggle-planner': () => this.togglePlanner(),
+                    'export-view': el => this.exportView(el.dataset.format),
+                    'set-inventory': el => this.setInventoryCount(el.dataset.relic, el.dataset.level, el.value),
+                    'open-relic': el => this.openRelicPopup(el.dataset.relic, el),
+                    'close-popup': () => this.hideRelicPopup(),
+                    'apply-update': () => pwa.apply()
+                };
+
                 document.addEventListener('click', e => {
+                    const button = e.target.closest('button[data-action]');
+                    if (button && actions[button.dataset.action]) actions[button.dataset.action](button);
+
+                    // Hide popup when clicking outside
                     if (!e.target.closest('.relic-hover') && !e.target.closest('#relicPopup')) {
                         this.hideRelicPopup();
                     }
                 });
 
+                document.addEventListener('change', e => {
+                    const input = e.target.closest('input[data-action]');
+                    if (input && actions[input.dataset.action]) actions[input.dataset.action](input);
+                });
+
+                // Hovering previews a relic; a popup opened as a dialog stays until Escape, its close button or a click outside
+                document.getElementById('mainContent').addEventListener('mouseover', e => {
+                    const relic = e.target.closest('.relic-hover');
+                    if (relic && !this.isPopupModal()) this.showRelicPopup(relic.dataset.relic);
+                });
+
+                document.getElementById('mainContent').addEventListener('mouseout', e => {
+                    if (e.target.closest('.relic-hover') && !this.isPopupModal()) this.hideRelicPopupWithDelay();
+                });
+
                 // Prevent popup hiding during mouseover
                 document.getElementById('relicPopup').addEventListener('mouseover', () => {
                     clearTimeout(this.popupTimeout);
@@ -796,15 +3206,158 @@ class HTMLGenerator {
                 });
                 
                 document.getElementById('relicPopup').addEventListener('mouseout', () => {
-                    this.hideRelicPopupWithDelay();
+                    if (!this.isPopupModal()) this.hideRelicPopupWithDelay();
                 });
             },
 
+            saveOwned() {
+                storage.save(storage.keys.owned, [...state.owned].sort());
+                view.updateDisplay();
+            },
+
+            togglePartOwned(part) {
+                state.owned.has(part)
+                    ? state.owned.delete(part)
+                    : state.owned.add(part);
+                this.saveOwned();
+            },
+
+            toggleSetOwned(name) {
+                const info = Object.values(state.data.primes).map(category => category[name]).find(Boolean);
+                if (!info) return;
+
+                const parts = utils.setParts(info);
+                const complete = parts.every(part => state.owned.has(part));
+                parts.forEach(part => complete ? state.owned.delete(part) : state.owned.add(part));
+                this.saveOwned();
+            },
+
+            toggleWishlist(name) {
+                state.wishlist.has(name)
+                    ? state.wishlist.delete(name)
+                    : state.wishlist.add(name);
+                storage.save(storage.keys.wishlist, [...state.wishlist].sort());
+                view.updateDisplay();
+            },
+
+            togglePlanner() {
+                state.plannerMode = !state.plannerMode;
+                view.updateDisplay();
+            },
+
+            setInventoryCount(relic, refinement, value) {
+                const count = Math.max(0, parseInt(value, 10) || 0);
+                state.inventory[relic] = { ...(state.inventory[relic] || {}), [refinement]: count };
+                if (!planner.ownedCount(relic)) {
+                    delete state.inventory[relic];
+                }
+                storage.save(storage.keys.inventory, state.inventory);
+                view.updateDisplay();
+            },
+
+            exportOwned() {
+                const content = JSON.stringify({ version: 1, owned: [...state.owned].sort() }, null, 2);
+                utils.downloadFile('warframe-prime-nexus-owned.json', content, 'application/json');
+            },
+
+            exportView(format) {
+                const fileName = \`warframe-prime-nexus-\${state.currentTab}\`;
+
+                if (format === 'csv') {
+                    utils.downloadFile(\`\${fileName}.csv\`, exporter.toCSV(), 'text/csv;charset=utf-8');
+                } else if (format === 'json') {
+                    utils.downloadFile(\`\${fileName}.json\`, exporter.toJSON(), 'application/json');
+                } else if (format === 'text') {
+                    this.copyFarmingList();
+                }
+            },
+
+            copyFarmingList() {
+                const status = message => {
+                    const element = document.getElementById('exportStatus');
+                    if (element) element.textContent = message;
+                };
+                const list = exporter.farmingList();
+
+                if (!list.parts) {
+                    status(i18n.t('export.nothingToCopy'));
+                    return;
+                }
+
+                utils.copyText(list.text)
+                    .then(() => status(i18n.t('export.copied', { count: list.parts })))
+                    .catch(() => status(i18n.t('export.copyFailed')));
+            },
+
+            importOwned(file) {
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        const imported = JSON.parse(reader.result);
+                        if (!imported || !Array.isArray(imported.owned)) {
+                            throw new Error(i18n.t('owned.missingList'));
+                        }
+                        state.owned = new Set(imported.owned.filter(part => typeof part === 'string'));
+                        this.saveOwned();
+                    } catch (error) {
+                        alert(i18n.t('owned.importFailed', { message: error.message }));
+                    }
+                };
+                reader.readAsText(file);
+            },
+
             toggleItem(name) {
                 state.expandedItems.has(name) 
                     ? state.expandedItems.delete(name)
                     : state.expandedItems.add(name);
                 view.updateDisplay();
+                router.write(true);
+            },
+
+            // Up/Down, Home and End move between the headers of the list
+            moveFocus(e) {
+                const toggles = [...document.querySelectorAll('#mainContent .disclosure-toggle')];
+                const index = toggles.indexOf(e.target);
+                const target = {
+                    ArrowDown: toggles[index + 1],
+                    ArrowUp: toggles[index - 1],
+                    Home: toggles[0],
+                    End: toggles[toggles.length - 1]
+                }[e.key];
+
+                if (target) {
+                    e.preventDefault();
+                    target.focus();
+                }
+            },
+
+            // Opened by click, tap or keyboard: the popup gets into the URL, and focus moves into it and back to the opener on close
+            openRelicPopup(relicName, opener) {
+                this.showRelicDialog(relicName);
+                router.write();
+                this.popupOpener = opener;
+                document.getElementById('relicPopup').focus();
+            },
+
+            // The popup is modal: while focus is in it, Tab and Shift+Tab cycle through its controls
+            keepFocusInPopup(e) {
+                const popup = document.getElementById('relicPopup');
+                if (!popup.contains(document.activeElement)) return;
+
+                const controls = [...popup.querySelectorAll('button, a[href], input, select, textarea, [tabindex]:not([tabindex="-1"])')];
+                const first = controls[0];
+                const last = controls[controls.length - 1];
+                const active = document.activeElement;
+
+                if (!controls.length) {
+                    e.preventDefault();
+                } else if (e.shiftKey && (active === first || active === popup)) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && active === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
             },
 
             showRelicPopup(relicName) {
@@ -814,6 +3367,21 @@ class HTMLGenerator {
                 const popup = document.getElementById('relicPopup');
                 popup.innerHTML = view.renderRelicPopup(relicName);
                 popup.style.display = 'block';
+                popup.removeAttribute('aria-modal');
+                state.popupRelic = relicName;
+                // Hovering only previews a relic, it doesn't keep one linked from the URL
+                state.popupInRoute = false;
+            },
+
+            // Shows the popup as a modal dialog, the way it is opened from a click, tap, key or link
+            showRelicDialog(relicName) {
+                this.showRelicPopup(relicName);
+                document.getElementById('relicPopup').setAttribute('aria-modal', 'true');
+                state.popupInRoute = true;
+            },
+
+            isPopupModal() {
+                return Boolean(state.popupRelic && (state.popupInRoute || this.popupOpener));
             },
             
             hideRelicPopupWithDelay() {
@@ -828,19 +3396,401 @@ class HTMLGenerator {
             hideRelicPopup() {
                 clearTimeout(this.popupTimeout);
                 state.relicPopupVisible = false;
-                document.getElementById('relicPopup').style.display = 'none';
+
+                const popup = document.getElementById('relicPopup');
+                popup.style.display = 'none';
+                popup.removeAttribute('aria-modal');
+                if (popup.contains(document.activeElement) && this.popupOpener && this.popupOpener.isConnected) {
+                    this.popupOpener.focus();
+                }
+                this.popupOpener = null;
+
+                if (state.popupRelic) {
+                    const inRoute = state.popupInRoute;
+                    state.popupRelic = null;
+                    state.popupInRoute = false;
+                    if (inRoute) router.write();
+                }
             },
             
-            popupTimeout: null
+            popupTimeout: null,
+            popupOpener: null
         };
 
         document.addEventListener('DOMContentLoaded', () => controller.init());
-        </script>`;
+`;
+    }
+}
+
+// Pre-rendered pages for every prime set and relic, readable without JavaScript
+class StaticSiteGenerator {
+    static slug(name) {
+        return name
+            .toLowerCase()
+            .replace(/&/g, 'and')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    static primePath(name) {
+        return `primes/${this.slug(name)}.html`;
+    }
+
+    static relicPath(name) {
+        return `relics/${this.slug(name.replace(/ Relic$/, ''))}.html`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static compareRelics(a, b) {
+        const tier = name => RELIC_TIERS.indexOf(name.split(' ')[0]);
+        return tier(a) - tier(b) || a.localeCompare(b, undefined, { numeric: true });
+    }
+
+    // Writes the interactive index.html with its assets and every pre-rendered page, returns the written paths
+    static writeSite(data, outDir, { baseUrl = null, locale = DEFAULT_LOCALE, feed = null } = {}) {
+        const files = [
+            ...this.generatePages(data, { baseUrl, locale }),
+            ...HTMLGenerator.generateFiles(structuredClone(data), { siteLinks: true, locale, feed })
+        ];
+
+        return HTMLGenerator.writeFiles(files, outDir);
+    }
+
+    // Returns every page and their stylesheet as { path, content }, paths relative to the site root, written in the given locale
+    static generatePages(data, { baseUrl = null, locale = DEFAULT_LOCALE } = {}) {
+        Locales.catalog(PAGE_CATALOGS, locale);
+        const styles = HTMLGenerator.hashedAsset('assets/site', '.css', this.getStyles());
+        const site = { data, locale, styles: styles.path, baseUrl: baseUrl ? baseUrl.replace(/\/?$/, '/') : null };
+        const primes = Object.values(data.primes).sort((a, b) => a.name.localeCompare(b.name));
+        const relicNames = Object.keys(data.relics).sort(this.compareRelics);
+
+        const pages = [
+            { path: 'primes/index.html', content: this.renderPrimeIndex(site, primes) },
+            { path: 'relics/index.html', content: this.renderRelicIndex(site, relicNames) },
+            ...primes.map(prime => ({ path: this.primePath(prime.name), content: this.renderPrimePage(site, prime) })),
+            ...relicNames.map(name => ({ path: this.relicPath(name), content: this.renderRelicPage(site, name) }))
+        ];
+
+        if (site.baseUrl) {
+            pages.push({ path: 'sitemap.xml', content: this.renderSitemap(site, ['', ...pages.map(page => page.path)]) });
+        }
+
+        return [styles, ...pages];
+    }
+
+    static t(site, key, params) {
+        return HTMLGenerator.translate(site.locale, key, params);
+    }
+
+    // Public URL of a page, the same in the sitemap and the canonical link; index pages are named by their directory
+    static pageUrl(site, pagePath) {
+        return site.baseUrl + pagePath.replace(/(^|\/)index\.html$/, '$1');
+    }
+
+    static renderPage(site, { path: pagePath, title, description, body }) {
+        const root = '../'.repeat(pagePath.split('/').length - 1);
+        const url = site.baseUrl && this.pageUrl(site, pagePath);
+
+        return `<!DOCTYPE html>
+<html lang="${site.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="icon" href="${root}assets/icon.svg" type="image/svg+xml">
+    <title>${this.escape(title)} | Warframe Prime Nexus</title>
+    <meta name="description" content="${this.escape(description)}">
+    <meta property="og:site_name" content="Warframe Prime Nexus">
+    <meta property="og:title" content="${this.escape(title)}">
+    <meta property="og:description" content="${this.escape(description)}">${url ? `
+    <meta property="og:url" content="${this.escape(url)}">
+    <link rel="canonical" href="${this.escape(url)}">` : ''}
+    <link rel="stylesheet" href="${root}${site.styles}">
+</head>
+<body>
+    <header class="site-header">
+        <a class="site-title" href="${root}index.html">Warframe Prime Nexus</a>
+        <nav>
+            <a href="${root}primes/index.html">${this.escape(this.t(site, 'site.primeSets'))}</a>
+            <a href="${root}relics/index.html">${this.escape(this.t(site, 'site.relics'))}</a>
+        </nav>
+    </header>
+    <main>
+        ${body}
+    </main>
+</body>
+</html>
+`;
+    }
+
+    static renderPercent(site, chance) {
+        return typeof chance === 'number' ? this.escape(Locales.formatPercent(chance, site.locale)) : '–';
+    }
+
+    static renderChances(site, chances) {
+        return REFINEMENTS.map(refinement => `<td>${this.renderPercent(site, chances[refinement])}</td>`).join('');
+    }
+
+    static renderRefinementHeadings(site) {
+        return REFINEMENTS.map(refinement => `<th>${this.escape(this.t(site, `refinements.${refinement}`))}</th>`).join('');
+    }
+
+    static renderRarity(site, rarity) {
+        return this.escape(RARITIES.includes(rarity) ? this.t(site, `rarities.${rarity}`) : rarity);
+    }
+
+    static renderAvailability(site, ranges) {
+        if (!ranges || !ranges.length) return '';
+
+        const date = day => Locales.formatDate(`${day}T00:00:00Z`, site.locale);
+        const items = ranges.map(({ from, to }) =>
+            `<li>${this.escape(from === to ? date(from) : this.t(site, 'site.range', { from: date(from), to: date(to) }))}</li>`
+        ).join('');
+        return `<h2>${this.escape(this.t(site, 'site.obtainable'))}</h2><ul>${items}</ul>`;
+    }
+
+    static renderPrimePage(site, prime) {
+        const subtype = PRIME_SUBTYPES[prime.subtype] ? prime.subtype : HTMLGenerator.guessSubtype(prime);
+        const relicLink = relic => site.data.relics[relic]
+            ? `<a href="../${this.relicPath(relic)}">${this.escape(relic)}</a>`
+            : this.escape(relic);
+        const rows = prime.parts.map(({ part, rarity, relic, chances }) => `
+            <tr class="rarity-${this.escape(rarity.toLowerCase())}">
+                <td>${this.escape(part)}</td>
+                <td>${this.renderRarity(site, rarity)}</td>
+                <td>${relicLink(relic)}</td>
+                ${this.renderChances(site, chances || {})}
+            </tr>`).join('');
+
+        return this.renderPage(site, {
+            path: this.primePath(prime.name),
+            title: prime.name,
+            description: this.t(site, 'site.primeDescription', {
+                name: prime.name,
+                parts: prime.parts.map(({ part, relic }) => this.t(site, 'site.partFrom', { part, relic })).join(', ')
+            }),
+            body: `
+        <h1>${this.escape(prime.name)}</h1>
+        <p class="subtitle">${this.escape(this.t(site, `subtypes.${subtype}`))}</p>
+        <table>
+            <thead><tr><th>${this.escape(this.t(site, 'site.part'))}</th><th>${this.escape(this.t(site, 'site.rarity'))}</th><th>${this.escape(this.t(site, 'site.relic'))}</th>${this.renderRefinementHeadings(site)}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${this.renderAvailability(site, site.data.history && site.data.history.primes[prime.name])}`
+        });
+    }
+
+    static renderRelicPage(site, name) {
+        const relic = site.data.relics[name];
+        const primeOf = part => Object.values(site.data.primes)
+            .find(prime => prime.parts.some(entry => entry.part === part && entry.relic === name));
+        const rewardRows = relic.rewards.map(({ part, rarity, chances }) => {
+            const prime = primeOf(part);
+            const label = prime
+                ? `<a href="../${this.primePath(prime.name)}">${this.escape(part)}</a>`
+                : this.escape(part);
+            return `
+            <tr class="rarity-${this.escape(rarity.toLowerCase())}">
+                <td>${label}</td>
+                <td>${this.renderRarity(site, rarity)}</td>
+                ${this.renderChances(site, chances || {})}
+            </tr>`;
+        }).join('');
+        const sourceRows = relic.sources.map(({ mission, rotation, chance }) => `
+            <tr>
+                <td>${this.escape(mission)}</td>
+                <td>${rotation ? this.escape(rotation) : '–'}</td>
+                <td>${this.renderPercent(site, chance)}</td>
+            </tr>`).join('');
+
+        return this.renderPage(site, {
+            path: this.relicPath(name),
+            title: name,
+            description: this.t(site, 'site.relicDescription', {
+                name,
+                rewards: relic.rewards.map(({ part, rarity }) =>
+                    `${part} (${RARITIES.includes(rarity) ? this.t(site, `rarities.${rarity}`) : rarity})`).join(', ')
+            }),
+            body: `
+        <h1>${this.escape(name)}</h1>
+        <h2>${this.escape(this.t(site, 'site.rewards'))}</h2>
+        <table>
+            <thead><tr><th>${this.escape(this.t(site, 'site.reward'))}</th><th>${this.escape(this.t(site, 'site.rarity'))}</th>${this.renderRefinementHeadings(site)}</tr></thead>
+            <tbody>${rewardRows}</tbody>
+        </table>
+        <h2>${this.escape(this.t(site, 'site.sources'))}</h2>
+        ${sourceRows ? `<table>
+            <thead><tr><th>${this.escape(this.t(site, 'site.mission'))}</th><th>${this.escape(this.t(site, 'site.rotation'))}</th><th>${this.escape(this.t(site, 'site.chance'))}</th></tr></thead>
+            <tbody>${sourceRows}</tbody>
+        </table>` : `<p>${this.escape(this.t(site, 'site.noSources'))}</p>`}
+        ${this.renderAvailability(site, site.data.history && site.data.history.relics[name])}`
+        });
+    }
+
+    static renderPrimeIndex(site, primes) {
+        const sections = Object.keys(PRIME_SUBTYPES).map(subtype => {
+            const sets = primes.filter(prime =>
+                (PRIME_SUBTYPES[prime.subtype] ? prime.subtype : HTMLGenerator.guessSubtype(prime)) === subtype
+            );
+            if (!sets.length) return '';
+
+            const title = this.t(site, `subtypes.${subtype}`);
+
+            const links = sets.map(({ name }) => `<li><a href="../${this.primePath(name)}">${this.escape(name)}</a></li>`).join('');
+            return `<h2>${this.escape(title)}</h2><ul class="link-list">${links}</ul>`;
+        }).join('');
+
+        return this.renderPage(site, {
+            path: 'primes/index.html',
+            title: this.t(site, 'site.primeSets'),
+            description: this.t(site, 'site.primeSetsDescription', { count: primes.length }),
+            body: `<h1>${this.escape(this.t(site, 'site.primeSets'))}</h1>${sections}`
+        });
+    }
+
+    static renderRelicIndex(site, relicNames) {
+        const sections = RELIC_TIERS.map(tier => {
+            const names = relicNames.filter(name => name.startsWith(`${tier} `));
+            if (!names.length) return '';
+
+            const links = names.map(name => `<li><a href="../${this.relicPath(name)}">${this.escape(name)}</a></li>`).join('');
+            return `<h2>${tier}</h2><ul class="link-list">${links}</ul>`;
+        }).join('');
+
+        return this.renderPage(site, {
+            path: 'relics/index.html',
+            title: this.t(site, 'site.relics'),
+            description: this.t(site, 'site.relicsDescription', { count: relicNames.length }),
+            body: `<h1>${this.escape(this.t(site, 'site.relics'))}</h1>${sections}`
+        });
+    }
+
+    static renderSitemap(site, paths) {
+        const urls = paths.map(pagePath => `    <url><loc>${this.escape(this.pageUrl(site, pagePath))}</loc></url>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+    }
+
+    static getStyles() {
+        return `${HTMLGenerator.getFontFaces()}
+
+        :root {
+            --void-primary: #4a69bd;
+            --void-dark: #0a0a12;
+            --void-surface: #1a1a2d;
+            --void-border: #2a2a4a;
+            --void-text: #e0e0ff;
+            --void-rare: #ff4757;
+            --void-uncommon: #e67e22;
+            --void-common: #7f8c8d;
+        }
+
+        body {
+            margin: 0;
+            background: var(--void-dark);
+            color: var(--void-text);
+            font-family: 'Exo 2', system-ui, sans-serif;
+            line-height: 1.6;
+        }
+
+        a {
+            color: #8fa8ff;
+        }
+
+        .site-header {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1rem;
+            justify-content: space-between;
+            align-items: center;
+            padding: 1rem 2rem;
+            border-bottom: 1px solid var(--void-border);
+        }
+
+        .site-title {
+            font-family: 'Orbitron', sans-serif;
+            font-weight: 700;
+            text-decoration: none;
+            text-transform: uppercase;
+            letter-spacing: 2px;
+        }
+
+        .site-header nav {
+            display: flex;
+            gap: 1rem;
+        }
+
+        main {
+            max-width: 960px;
+            margin: 0 auto;
+            padding: 2rem;
+        }
+
+        h1, h2 {
+            font-family: 'Orbitron', sans-serif;
+        }
+
+        .subtitle {
+            color: var(--void-common);
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            background: var(--void-surface);
+        }
+
+        th, td {
+            padding: 0.5rem;
+            border: 1px solid var(--void-border);
+            text-align: left;
+        }
+
+        .rarity-rare td:first-child {
+            border-left: 3px solid var(--void-rare);
+        }
+
+        .rarity-uncommon td:first-child {
+            border-left: 3px solid var(--void-uncommon);
+        }
+
+        .rarity-common td:first-child {
+            border-left: 3px solid var(--void-common);
+        }
+
+        .link-list {
+            columns: 3 14rem;
+        }
+    `;
     }
 }
 
 class WarframeConverter {
-    static async convertMarkdownToHTML(inputFile, outputFile) {
+    static async convertMarkdownToHTML(inputFile, outputFile, { strict = false, locale = null } = {}) {
+        return this.convert(inputFile, outputFile, content => new WarframeDataParser({ strict }).parse(content), { locale });
+    }
+
+    static async convertJSONToHTML(inputFile, outputFile, { locale = null } = {}) {
+        return this.convert(inputFile, outputFile, content => new WarframeJSONParser().parse(content), { locale });
+    }
+
+    // Without a locale the page is written in the language of the markdown it was read from, if it has one
+    static pageLocale(data, locale) {
+        return locale || (PAGE_CATALOGS[data.locale] ? data.locale : DEFAULT_LOCALE);
+    }
+
+    static async convert(inputFile, outputFile, parse, { locale = null } = {}) {
         try {
             // Resolve paths relative to current directory
             const inputPath = path.resolve(inputFile);
@@ -849,30 +3799,94 @@ class WarframeConverter {
             console.log(`Converting ${inputPath} to ${outputPath}...`);
             
             const content = await fs.promises.readFile(inputPath, 'utf8');
-            const parsedData = new WarframeDataParser().parse(content);
-            const html = HTMLGenerator.generateHTML(parsedData);
-            
-            await fs.promises.writeFile(outputPath, html);
-            console.log(`Successfully generated ${outputPath}`);
+            const parsedData = parse(content);
+            HTMLGenerator.writePage(parsedData, outputPath, { locale: this.pageLocale(parsedData, locale) });
+            console.log(`Successfully generated ${outputPath} and its assets`);
             
             return { success: true, message: `Successfully generated ${outputPath}` };
         } catch (error) {
-            console.error('Void translation failed:', error);
-            
-            if (error.code === 'ENOENT') {
-                console.error(`File not found: ${error.path}`);
+            return this.failure(error);
+        }
+    }
+
+    static async convertToSite(inputFile, outDir, { baseUrl = null, locale = null } = {}) {
+        try {
+            const inputPath = path.resolve(inputFile);
+            const outputPath = path.resolve(outDir);
+
+            console.log(`Building site from ${inputPath} in ${outputPath}...`);
+
+            const content = await fs.promises.readFile(inputPath, 'utf8');
+            const parsedData = path.extname(inputPath).toLowerCase() === '.json'
+                ? new WarframeJSONParser().parse(content)
+                : new WarframeDataParser().parse(content);
+            const files = StaticSiteGenerator.writeSite(parsedData, outputPath, { baseUrl, locale: this.pageLocale(parsedData, locale) });
+
+            console.log(`Successfully generated ${files.length} files in ${outputPath}`);
+            if (!baseUrl) {
+                console.warn('No base URL given, sitemap.xml and canonical links were left out');
             }
-            
-            return { success: false, error: error.message };
+
+            return { success: true, message: `Successfully generated ${files.length} files in ${outputPath}` };
+        } catch (error) {
+            return this.failure(error);
+        }
+    }
+
+    // Strictly parses a hand-edited markdown file and rewrites it in the generated layout,
+    // in its own language unless another locale is given
+    static async normalizeMarkdown(inputFile, outputFile = inputFile, { locale = null } = {}) {
+        try {
+            const inputPath = path.resolve(inputFile);
+            const outputPath = path.resolve(outputFile);
+
+            console.log(`Normalizing ${inputPath} to ${outputPath}...`);
+
+            const content = await fs.promises.readFile(inputPath, 'utf8');
+            const parsedData = new WarframeDataParser({ strict: true }).parse(content);
+            const markdown = new WarframeMarkdownSerializer({ locale: locale || parsedData.locale }).serialize(parsedData);
+
+            await fs.promises.writeFile(outputPath, markdown);
+            console.log(`Successfully normalized ${outputPath}`);
+
+            return { success: true, message: `Successfully normalized ${outputPath}` };
+        } catch (error) {
+            return this.failure(error);
+        }
+    }
+
+    static failure(error) {
+        // Parse errors already list every problem, a stack trace would only bury them
+        console.error('Void translation failed:', error instanceof MarkdownParseError ? error.message : error);
+
+        if (error.code === 'ENOENT') {
+            console.error(`File not found: ${error.path}`);
         }
+
+        return { success: false, error: error.message };
     }
 }
 
 if (require.main === module) {
-    const inputFile = process.argv[2] || 'currentPrimes.md';
-    const outputFile = process.argv[3] || 'index.html';
-    
-    WarframeConverter.convertMarkdownToHTML(inputFile, outputFile)
+    // Usage: node htmlConverter.js [--strict] [--locale=<locale>] [input] [output]
+    //        node htmlConverter.js --normalize [--locale=<locale>] [input.md] [output.md]
+    //        node htmlConverter.js --site [--base-url=<url>] [--locale=<locale>] [input] [output directory]
+    const flags = process.argv.slice(2).filter(arg => arg.startsWith('--'));
+    const [inputFile = 'currentPrimes.md', outputFile] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const flagValue = name => (flags.find(flag => flag.startsWith(`--${name}=`)) || '').substring(name.length + 3) || null;
+    const strict = flags.includes('--strict');
+    const baseUrl = flagValue('base-url');
+    const locale = flagValue('locale');
+
+    const run = flags.includes('--normalize')
+        ? WarframeConverter.normalizeMarkdown(inputFile, outputFile, { locale })
+        : flags.includes('--site')
+            ? WarframeConverter.convertToSite(inputFile, outputFile || 'site', { baseUrl, locale })
+            : path.extname(inputFile).toLowerCase() === '.json'
+            ? WarframeConverter.convertJSONToHTML(inputFile, outputFile || 'index.html', { locale })
+            : WarframeConverter.convertMarkdownToHTML(inputFile, outputFile || 'index.html', { strict, locale });
+
+    run
         .then(result => {
             if (!result.success) {
                 process.exit(1);
@@ -885,7 +3899,11 @@ if (require.main === module) {
 }
 
 module.exports = {
+    MarkdownParseError,
     WarframeDataParser,
+    WarframeMarkdownSerializer,
+    WarframeJSONParser,
     HTMLGenerator,
+    StaticSiteGenerator,
     WarframeConverter
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Copies the markdown catalogs of the data extractor into locales/markdown, the converter ships them to read
+// the markdown in any language it can be written in. Run it after adding or changing a catalog in ../currentPrimes/locales
+// Usage: node syncLocales.js [catalog directory]
+const fs = require('fs');
+const path = require('path');
+
+const MARKDOWN_LOCALES_DIR = path.join(__dirname, 'locales', 'markdown');
+const EXTRACTOR_LOCALES_DIR = path.join(__dirname, '..', 'currentPrimes', 'locales');
+
+// Replaces every catalog in locales/markdown with those of the source directory, returns the copied files
+function syncLocales(sourceDir = EXTRACTOR_LOCALES_DIR) {
+    const files = fs.readdirSync(sourceDir).filter(file => file.endsWith('.json')).sort();
+    if (files.length === 0) {
+        throw new Error(`No catalogs found in ${sourceDir}`);
+    }
+
+    fs.rmSync(MARKDOWN_LOCALES_DIR, { recursive: true, force: true });
+    fs.mkdirSync(MARKDOWN_LOCALES_DIR, { recursive: true });
+    files.forEach(file => fs.copyFileSync(path.join(sourceDir, file), path.join(MARKDOWN_LOCALES_DIR, file)));
+
+    return files;
+}
+
+if (require.main === module) {
+    try {
+        const sourceDir = path.resolve(process.argv[2] || EXTRACTOR_LOCALES_DIR);
+        const files = syncLocales(sourceDir);
+        console.log(`Copied ${files.join(', ')} from ${sourceDir} to ${MARKDOWN_LOCALES_DIR}`);
+    } catch (error) {
+        console.error('Copying the markdown catalogs failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { MARKDOWN_LOCALES_DIR, EXTRACTOR_LOCALES_DIR, syncLocales };
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MARKDOWN_LOCALES_DIR, EXTRACTOR_LOCALES_DIR } = require('../syncLocales.js');
+
+const catalogs = dir => Object.fromEntries(fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))]));
+
+const keys = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !('other' in value) ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]);
+
+test('ships the same markdown catalogs as the data extractor', { skip: !fs.existsSync(EXTRACTOR_LOCALES_DIR) && 'currentPrimes is not next to the converter' }, () => {
+    const shipped = catalogs(MARKDOWN_LOCALES_DIR);
+    const extractor = catalogs(EXTRACTOR_LOCALES_DIR);
+
+    // Both directories are listed, so a catalog added on either side only fails here
+    assert.deepEqual(Object.keys(shipped).sort(), Object.keys(extractor).sort(), 'locales/markdown is out of date, run npm run sync-locales');
+    Object.keys(extractor).forEach(file => {
+        assert.deepEqual(shipped[file], extractor[file], `locales/markdown/${file} is out of date, run npm run sync-locales`);
+    });
+});
+
+['locales', 'locales/markdown'].forEach(dir => {
+    test(`${dir} catalogs have the keys of the English one`, () => {
+        const all = catalogs(path.join(__dirname, '..', dir));
+
+        Object.entries(all).forEach(([file, catalog]) => {
+            assert.deepEqual(keys(catalog).sort(), keys(all['en.json']).sort(), file);
+        });
+    });
+});
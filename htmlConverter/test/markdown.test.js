@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MarkdownParseError, WarframeDataParser, WarframeMarkdownSerializer } = require('../htmlConverter.js');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Breaks the part line of Nidus Prime Neuroptics, line 21 of en.md
+const malformed = () => {
+    const lines = fixture('en.md').split('\n');
+    lines[20] = '  - Nidus Prime Neuroptics Blueprint (Uncommon) -> ';
+    return lines.join('\n');
+};
+
+['en', 'fr', 'de'].forEach(locale => {
+    test(`writes ${locale} markdown back as it was read`, () => {
+        const markdown = fixture(`${locale}.md`);
+        const data = new WarframeDataParser({ strict: true }).parse(markdown);
+
+        assert.equal(data.locale, locale);
+        assert.equal(new WarframeMarkdownSerializer({ locale }).serialize(data), markdown);
+    });
+});
+
+test('converts markdown to another locale', () => {
+    const data = new WarframeDataParser({ strict: true }).parse(fixture('fr.md'));
+
+    assert.equal(new WarframeMarkdownSerializer({ locale: 'en' }).serialize(data), fixture('en.md'));
+});
+
+test('reads localized dates as timestamps', () => {
+    const data = new WarframeDataParser({ strict: true }).parse(fixture('de.md'));
+
+    assert.equal(data.generatedAt, '2026-10-19T00:00:00.000Z');
+    assert.equal(data.changelog.previousGeneratedAt, '2026-10-01T00:00:00.000Z');
+});
+
+test('reports every problem with its line in strict mode', () => {
+    assert.throws(() => new WarframeDataParser({ strict: true }).parse(malformed()), error => {
+        assert.ok(error instanceof MarkdownParseError);
+        assert.deepEqual(error.problems.map(({ line }) => line), [21, 74]);
+        assert.match(error.problems[0].message, /^Invalid part format/);
+        assert.match(error.problems[1].message, /^Lith B1 Relic: Nidus Prime Neuroptics Blueprint is missing/);
+        return true;
+    });
+});
+
+test('skips malformed lines with a warning when not strict', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const data = new WarframeDataParser().parse(malformed());
+
+    assert.deepEqual(data.primes['Nidus Prime'].parts.map(({ part }) => part), [
+        'Nidus Prime Blueprint',
+        'Nidus Prime Chassis Blueprint',
+        'Nidus Prime Systems Blueprint'
+    ]);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /^Warning: line 21: Invalid part format/);
+});
+
+test('reads markdown written before chances and subtypes', () => {
+    const data = new WarframeDataParser().parse(fixture('legacy.md'));
+
+    assert.equal(data.generatedAt, '2024-10-01T00:00:00.000Z');
+    assert.equal(data.changelog, null);
+    assert.deepEqual(data.primes['Nidus Prime'].parts[0], {
+        part: 'Nidus Prime Blueprint',
+        rarity: 'Rare',
+        relic: 'Neo N9 Relic',
+        chances: {}
+    });
+    assert.deepEqual(data.relics['Neo N9 Relic'].sources.map(({ mission }) => mission), [
+        'Void/Ukko (Capture)',
+        'Lua/Apollo (Disruption)'
+    ]);
+    assert.deepEqual(data.relics['Lith B1 Relic'].rewards.map(({ part }) => part), [
+        'Forma Blueprint',
+        'Nidus Prime Neuroptics Blueprint'
+    ]);
+});
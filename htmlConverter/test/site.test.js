@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { WarframeDataParser, StaticSiteGenerator } = require('../htmlConverter.js');
+
+const data = new WarframeDataParser({ strict: true }).parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'en.md'), 'utf8'));
+const files = StaticSiteGenerator.generatePages(data, { baseUrl: 'https://example.org/nexus' });
+const pages = files.filter(file => file.path.endsWith('.html'));
+
+test('pre-rendered pages run no inline style and declare the page policy', () => {
+    const stylesheet = files.find(file => /^assets\/site\.[0-9a-f]{10}\.css$/.test(file.path));
+
+    assert.ok(stylesheet);
+    pages.forEach(({ path: pagePath, content }) => {
+        const root = '../'.repeat(pagePath.split('/').length - 1);
+
+        assert.doesNotMatch(content, /<style|style="/, pagePath);
+        assert.match(content, /<meta http-equiv="Content-Security-Policy" content="default-src 'none'; [^"]*style-src 'self'/, pagePath);
+        assert.ok(content.includes(`<link rel="stylesheet" href="${root}${stylesheet.path}">`), pagePath);
+    });
+});
+
+test('lists every page in the sitemap under its canonical URL', () => {
+    const sitemap = files.find(file => file.path === 'sitemap.xml').content;
+    const locations = [...sitemap.matchAll(/<loc>(.+)<\/loc>/g)].map(([, url]) => url);
+    const canonical = pages.map(({ content }) => content.match(/<link rel="canonical" href="(.+)">/)[1]);
+
+    assert.deepEqual(locations, ['https://example.org/nexus/', ...canonical]);
+    assert.ok(canonical.includes('https://example.org/nexus/primes/'));
+    assert.ok(canonical.includes('https://example.org/nexus/relics/axi-a16.html'));
+});
+
+test('the site stylesheet loads the fonts shipped in assets', () => {
+    const stylesheet = files.find(file => file.path.endsWith('.css')).content;
+    const fonts = [...stylesheet.matchAll(/url\((fonts\/[^)]+)\)/g)].map(([, font]) => font);
+
+    assert.match(stylesheet, /font-family: 'Exo 2';/);
+    assert.match(stylesheet, /font-family: 'Orbitron';/);
+    assert.equal(fonts.length, 5);
+    // Written in assets, where the files of static are copied
+    fonts.forEach(font => assert.ok(fs.existsSync(path.join(__dirname, '..', 'static', font)), font));
+});